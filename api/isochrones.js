@@ -0,0 +1,32 @@
+import { acceptRequest, proxyORS } from './orsProxy.js';
+
+const ORS_ENDPOINT = 'https://api.openrouteservice.org/v2/isochrones/foot-hiking';
+
+export default async function handler(req, res) {
+    if (!acceptRequest(req, res)) return;
+
+    const { locations, range, options } = req.body;
+
+    if (!Array.isArray(locations) || locations.length === 0 || locations.length > 5) {
+        return res.status(400).json({ error: 'Between 1 and 5 locations are allowed' });
+    }
+
+    if (!locations.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite))) {
+        return res.status(400).json({ error: 'Locations must be [lon, lat] number pairs' });
+    }
+
+    // Walking times only, up to 3 ranges of at most 3 hours
+    if (!Array.isArray(range) || range.length === 0 || range.length > 3 ||
+        !range.every(r => Number.isFinite(r) && r > 0 && r <= 10800)) {
+        return res.status(400).json({ error: 'Range must be up to 3 times of at most 10800 seconds' });
+    }
+
+    const safeBody = {
+        locations,
+        range,
+        range_type: 'time',
+        options: options?.avoid_features ? { avoid_features: options.avoid_features } : undefined
+    };
+
+    return proxyORS(req, res, ORS_ENDPOINT, safeBody);
+}
@@ -1,23 +1,9 @@
-import { rateLimit } from './rateLimiter.js';
+import { acceptRequest, proxyORS } from './orsProxy.js';
 
-export default async function handler(req, res) {
-    // Restrict CORS - only allow same-origin or localhost for dev
-    const origin = req.headers.origin || '';
-    if (origin.includes('localhost') || origin.includes('127.0.0.1') || origin.includes('vercel.app')) {
-        res.setHeader('Access-Control-Allow-Origin', origin);
-        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    } else if (origin) {
-        return res.status(403).json({ error: 'Origin not allowed' });
-    }
-
-    if (req.method === 'OPTIONS') return res.status(200).end();
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+const ORS_ENDPOINT = 'https://api.openrouteservice.org/v2/directions/foot-hiking/geojson';
 
-    // Payload Sanitization
-    if (!req.body || typeof req.body !== 'object') {
-        return res.status(400).json({ error: 'Invalid payload' });
-    }
+export default async function handler(req, res) {
+    if (!acceptRequest(req, res)) return;
 
     const { coordinates, radiuses, preference, instructions, elevation, options } = req.body;
 
@@ -30,6 +16,22 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Too many coordinates' });
     }
 
+    if (!coordinates.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite))) {
+        return res.status(400).json({ error: 'Coordinates must be [lon, lat] number pairs' });
+    }
+
+    if (preference && !['recommended', 'shortest', 'fastest'].includes(preference)) {
+        return res.status(400).json({ error: 'Preference must be recommended, shortest or fastest' });
+    }
+
+    // Avoid areas: at most 10 polygons of up to 100 [lon, lat] points each
+    const polygons = options?.avoid_polygons?.coordinates;
+    if (options?.avoid_polygons && !(Array.isArray(polygons) && polygons.length <= 10 &&
+        polygons.every(p => Array.isArray(p) && p.every(ring => Array.isArray(ring) && ring.length <= 100 &&
+            ring.every(c => Array.isArray(c) && c.length === 2 && c.every(Number.isFinite)))))) {
+        return res.status(400).json({ error: 'Up to 10 avoid areas of at most 100 points are allowed' });
+    }
+
     const safeBody = {
         coordinates,
         radiuses,
@@ -39,32 +41,5 @@ export default async function handler(req, res) {
         options: options || undefined
     };
 
-    // Rate limiting key on IP address
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
-    const limitResult = await rateLimit(ip, 10, 60000); // 10 req/min
-    if (!limitResult.allowed) {
-        return res.status(429).json({ error: 'Too many requests' });
-    }
-
-    const ORS_KEY = process.env.ORS_API_KEY;
-    if (!ORS_KEY) return res.status(500).json({ error: 'ORS API key not configured' });
-
-    const ORS_ENDPOINT = 'https://api.openrouteservice.org/v2/directions/foot-hiking/geojson';
-
-    try {
-        const response = await fetch(ORS_ENDPOINT, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': ORS_KEY
-            },
-            body: JSON.stringify(safeBody)
-        });
-
-        const data = await response.json();
-        if (!response.ok) return res.status(response.status).json(data);
-        return res.status(200).json(data);
-    } catch (err) {
-        return res.status(500).json({ error: err.message });
-    }
+    return proxyORS(req, res, ORS_ENDPOINT, safeBody);
 }
@@ -0,0 +1,76 @@
+import { rateLimit } from './rateLimiter.js';
+import { routeCacheKey, getCachedRoute, cacheRoute } from './routeCache.js';
+
+// Shared by the ORS endpoints (/api/ors, /api/isochrones) so their CORS,
+// rate limiting and caching can't drift apart
+
+// CORS and method checks. Restrict CORS - only allow same-origin or localhost for dev.
+// Returns false when the request has already been answered (preflight or rejected).
+export function acceptRequest(req, res) {
+  const origin = req.headers.origin || '';
+  if (origin.includes('localhost') || origin.includes('127.0.0.1') || origin.includes('vercel.app')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  } else if (origin) {
+    res.status(403).json({ error: 'Origin not allowed' });
+    return false;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return false;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return false;
+  }
+
+  // Payload Sanitization
+  if (!req.body || typeof req.body !== 'object') {
+    res.status(400).json({ error: 'Invalid payload' });
+    return false;
+  }
+  return true;
+}
+
+// Answer a sanitised body from the route cache, or rate-limit and forward it to ORS
+export async function proxyORS(req, res, endpoint, body) {
+  // Cached responses cost no ORS quota, so they're served before rate limiting
+  const cacheKey = routeCacheKey(endpoint, body);
+  const cached = await getCachedRoute(cacheKey);
+  if (cached) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.status(200).json(cached);
+  }
+
+  // Rate limiting key on IP address
+  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || 'unknown';
+  const limitResult = await rateLimit(ip, 10, 60000); // 10 req/min
+  if (!limitResult.allowed) {
+    return res.status(429).json({ error: 'Too many requests' });
+  }
+
+  const ORS_KEY = process.env.ORS_API_KEY;
+  if (!ORS_KEY) return res.status(500).json({ error: 'ORS API key not configured' });
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': ORS_KEY
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (!response.ok) return res.status(response.status).json(data);
+
+    await cacheRoute(cacheKey, data);
+    res.setHeader('X-Cache', 'MISS');
+    return res.status(200).json(data);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
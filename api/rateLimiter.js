@@ -1,6 +1,7 @@
 import Redis from 'ioredis';
 
-const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
+// Shared connection (also used by the ORS route cache); null when Redis isn't configured
+export const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
 
 // Fail-open rate limiter
 export async function rateLimit(key, limit, window) {
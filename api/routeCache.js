@@ -0,0 +1,49 @@
+import { createHash } from 'crypto';
+import { redis } from './rateLimiter.js';
+
+// Same policy as the browser cache: two weeks, oldest entries dropped past the cap
+const TTL_SECONDS = 14 * 24 * 60 * 60;
+const MAX_ENTRIES = 5000;
+const INDEX_KEY = 'route_cache:index';
+
+const roundPoints = points => points?.map(c => c.map(v => Number(v.toFixed(5))));
+
+// Key from the endpoint and body, coordinates (routes) or locations (isochrones) rounded to ~1m
+export function routeCacheKey(endpoint, body) {
+  const rounded = { ...body, coordinates: roundPoints(body.coordinates), locations: roundPoints(body.locations) };
+  const hash = createHash('sha1').update(`${endpoint}|${JSON.stringify(rounded)}`).digest('hex');
+  return `route_cache:${hash}`;
+}
+
+// Fail-open: no Redis or a Redis error reads as a miss
+export async function getCachedRoute(key) {
+  if (!redis) return null;
+  try {
+    const cached = await redis.get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export async function cacheRoute(key, data) {
+  if (!redis) return;
+  const now = Date.now();
+
+  try {
+    // Sorted set of keys by time stored, so the oldest can be evicted
+    await redis.multi()
+      .set(key, JSON.stringify(data), 'EX', TTL_SECONDS)
+      .zadd(INDEX_KEY, now, key)
+      .zremrangebyscore(INDEX_KEY, 0, now - TTL_SECONDS * 1000)
+      .exec();
+
+    const excess = (await redis.zcard(INDEX_KEY)) - MAX_ENTRIES;
+    if (excess > 0) {
+      const oldest = await redis.zrange(INDEX_KEY, 0, excess - 1);
+      await redis.multi().del(...oldest).zrem(INDEX_KEY, ...oldest).exec();
+    }
+  } catch (err) {
+    // Caching is best-effort; the route was still served
+  }
+}
@@ -4,8 +4,9 @@
 
 import { createMap, parkingMarker, destMarker, drawRoute, fitToWaypoints } from './map-utils.js';
 import { generateWalkFromPrompt, generateDirections } from './gemini-api.js';
-import { fetchHikingRoute, fetchCircularRoute, fetchMultiWaypointRoute, formatDistance, formatDuration } from './route-service.js';
+import { fetchHikingRoute, fetchRoundTrip, fetchMultiWaypointRoute, formatDistance, formatDuration, parseDistance } from './route-service.js';
 import { addWalk } from './library.js';
+import { estimateTime } from './time-estimate.js';
 
 let aiMap = null;
 let routeLayers = null;
@@ -74,7 +75,7 @@ async function aiGenerate() {
         const walk = await generateWalkFromPrompt(prompt);
         generatedWalk = walk;
 
-        // Step 2: Get real trail route from ORS using multi-waypoint routing
+        // Step 2: Get real trail route from the routing engine using multi-waypoint routing
         if (walk.lat && walk.lon) {
             statusEl.innerHTML = '<span class="spinner"></span> Step 2/3: Routing on real hiking trails via GPS...';
 
@@ -98,16 +99,14 @@ async function aiGenerate() {
                     }
                     routeData = await fetchMultiWaypointRoute(routePoints);
                 } else if (isCircular) {
-                    // Fallback: 3-point circular with destination
+                    // Fallback: car park → destination → car park when Gemini named one,
+                    // otherwise a round trip of the suggested length
                     const destLat = walk.destinationLat || endLat;
                     const destLon = walk.destinationLon || endLon;
-                    if (Math.abs(destLat - walk.lat) > 0.001 || Math.abs(destLon - walk.lon) > 0.001) {
-                        routeData = await fetchCircularRoute(walk.lat, walk.lon, destLat, destLon);
-                    } else {
-                        const offsetLat = walk.lat + 0.008;
-                        const offsetLon = walk.lon + 0.005;
-                        routeData = await fetchCircularRoute(walk.lat, walk.lon, offsetLat, offsetLon);
-                    }
+                    const hasDestination = Math.abs(destLat - walk.lat) > 0.001 || Math.abs(destLon - walk.lon) > 0.001;
+                    routeData = hasDestination
+                        ? await fetchMultiWaypointRoute([[walk.lat, walk.lon], [destLat, destLon], [walk.lat, walk.lon]])
+                        : await fetchRoundTrip(walk.lat, walk.lon, parseDistance(walk.distance) || 5000);
                 } else {
                     // Linear: start → end
                     routeData = await fetchHikingRoute(walk.lat, walk.lon, endLat, endLon);
@@ -118,9 +117,14 @@ async function aiGenerate() {
 
                 // Update distance/time with real GPS data
                 walk.distance = formatDistance(routeData.distance);
-                walk.time = formatDuration(routeData.duration);
+                walk.time = formatDuration(estimateTime({
+                    distance: routeData.distance,
+                    ascent: routeData.ascent || 0,
+                    descent: routeData.descent || 0
+                }).book);
+                if (routeData.ascent != null) walk.elevation = `${Math.round(routeData.ascent)}m`;
             } catch (routeErr) {
-                console.warn('ORS routing failed, using AI coordinates:', routeErr);
+                console.warn('Routing failed, using AI coordinates:', routeErr);
                 // Fallback: use loop waypoints directly as route points
                 if (walk.loopWaypoints && walk.loopWaypoints.length >= 2) {
                     generatedWaypoints = [[walk.lat, walk.lon], ...walk.loopWaypoints];
@@ -244,10 +248,15 @@ function exportAIWalk() {
     });
 }
 
-function addAIWalkToLibrary() {
+async function addAIWalkToLibrary() {
     if (!generatedWalk) return;
-    addWalk(generatedWalk);
     const btn = document.getElementById('btn-ai-add-library');
-    btn.textContent = '✅ Added!';
-    setTimeout(() => { btn.textContent = '➕ Add to Library'; }, 2000);
+    try {
+        await addWalk(generatedWalk);
+        btn.textContent = '✅ Added!';
+        setTimeout(() => { btn.textContent = '➕ Add to Library'; }, 2000);
+    } catch (err) {
+        btn.textContent = `❌ ${err.message}`;
+        setTimeout(() => { btn.textContent = '➕ Add to Library'; }, 4000);
+    }
 }
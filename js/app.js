@@ -2,10 +2,17 @@
    Trail Mapper Pro — Main App (Router & State)
    ═══════════════════════════════════════════════════════ */
 
-import { loadWalks, closeDetail } from './library.js';
-import { initCreator } from './creator.js';
+import { loadWalks, openDetail, closeDetail, getOpenWalkId, getWalkById, restoreFilters, applyFilters } from './library.js';
+import { initCreator, editWalk } from './creator.js';
 import { initAIStudio } from './ai-studio.js';
-import { initSettings } from './settings.js';
+import { initSettings, renderRouteCacheStats } from './settings.js';
+import { renderStats } from './stats.js';
+import { loadJournal } from './journal.js';
+import { renderComparison, closeComparison, setCompareSelection } from './compare.js';
+import { startRouter, navigate, goBack, currentRoute } from './router.js';
+
+const VIEWS = ['library', 'creator', 'ai-studio', 'stats', 'settings'];
+const TITLE = document.title;
 
 let currentView = 'library';
 let creatorInitialised = false;
@@ -23,6 +30,7 @@ function switchView(view) {
     if (view !== 'detail') {
         closeDetail();
     }
+    if (view !== 'compare') closeComparison();
 
     // Update nav buttons
     document.querySelectorAll('.nav-btn').forEach(btn => {
@@ -49,27 +57,79 @@ function switchView(view) {
         }, 100);
     }
 
+    // Stats are re-counted on every visit — the journal changes from the detail view
+    if (view === 'stats') renderStats();
+
     if (view === 'settings' && !settingsInitialised) {
         initSettings();
         settingsInitialised = true;
     }
+    // Cache counts change as routes are generated elsewhere
+    if (view === 'settings') renderRouteCacheStats();
 }
 
 /**
- * Bootstrap
+ * Show a route: #/library (with filter params), #/walk/<id>, #/compare?walks=<id>,<id>,
+ * #/creator, #/ai-studio, #/stats, #/settings.
+ * Unknown routes and missing walks fall back to the library.
  */
-function init() {
-    // Load walks
-    loadWalks();
+function handleRoute({ view, id, params }) {
+    if (view === 'walk') {
+        const walk = getWalkById(id);
+        if (!walk) {
+            navigate('/library', { replace: true });
+            return;
+        }
+        switchView('library');
+        openDetail(id);
+        document.title = `${walk.name} — ${TITLE}`;
+        return;
+    }
 
+    if (view === 'compare') {
+        const walks = (params.get('walks') || '').split(',').map(getWalkById).filter(Boolean);
+        if (walks.length < 2) {
+            navigate('/library', { replace: true });
+            return;
+        }
+        // A shared comparison link becomes the library's selection too
+        setCompareSelection(walks.map(w => w.id));
+        applyFilters();
+        switchView('compare');
+        renderComparison(walks);
+        document.title = `Compare: ${walks.map(w => w.name).join(' vs ')} — ${TITLE}`;
+        return;
+    }
+
+    if (!VIEWS.includes(view)) {
+        navigate('/library', { replace: true });
+        return;
+    }
+    switchView(view);
+    if (view === 'library') restoreFilters(params);
+    document.title = TITLE;
+}
+
+/**
+ * Bootstrap
+ */
+async function init() {
     // Nav clicks
     document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.addEventListener('click', () => switchView(btn.dataset.view));
+        btn.addEventListener('click', () => {
+            if (currentRoute().view !== btn.dataset.view) navigate(`/${btn.dataset.view}`);
+        });
     });
 
-    // Back button from detail
-    document.getElementById('back-btn').addEventListener('click', () => {
-        switchView('library');
+    // Back button from detail — same as the browser's back when we came from the library
+    document.getElementById('back-btn').addEventListener('click', () => goBack('/library'));
+    document.getElementById('compare-back-btn').addEventListener('click', () => goBack('/library'));
+
+    // Edit the open walk in the Creator (after the Creator's lazy init)
+    document.getElementById('btn-edit-walk').addEventListener('click', () => {
+        const id = getOpenWalkId();
+        navigate('/creator');
+        setTimeout(() => editWalk(id), 100);
     });
 
     // Escape key closes detail
@@ -77,11 +137,26 @@ function init() {
         if (e.key === 'Escape') {
             const detail = document.getElementById('view-detail');
             if (detail.classList.contains('active')) {
-                switchView('library');
+                goBack('/library');
             }
         }
     });
 
+    // Journal before walks, so the first render shows favourites and walked tags
+    try {
+        await loadJournal();
+    } catch (err) {
+        console.error('Failed to load journal:', err);
+    }
+
+    // Walks first, so a #/walk/<id> link can find its walk
+    try {
+        await loadWalks();
+    } catch (err) {
+        console.error('Failed to load walks:', err);
+    }
+    startRouter(handleRoute);
+
     console.log('🥾 Trail Mapper Pro initialised');
 }
 
@@ -0,0 +1,147 @@
+/* ═══════════════════════════════════════════════════════
+   Compare — Two to four walks side by side
+   ═══════════════════════════════════════════════════════ */
+
+import { formatDuration } from './route-service.js';
+import { estimateWalkTime } from './time-estimate.js';
+import { gradeWalk } from './grading.js';
+import { navigate } from './router.js';
+import { createMap, difficultyColor, walkTypeIcon, parkingMarker, drawRoute, fitToWaypoints, renderProfileStack } from './map-utils.js';
+
+export const MAX_COMPARE = 4;
+// One per compared walk — kept clear of the difficulty colours
+export const COMPARE_COLORS = ['#4ecdc4', '#f0a830', '#a78bfa', '#f472b6'];
+
+let selection = []; // walk IDs picked in the library
+let compareMap = null;
+
+/**
+ * IDs of the walks picked for comparison, in the order they were picked
+ */
+export function getCompareSelection() {
+    return selection;
+}
+
+export function setCompareSelection(ids) {
+    selection = ids.slice(0, MAX_COMPARE);
+}
+
+/**
+ * Add or remove a walk. Returns false (and changes nothing) when adding
+ * to a full selection.
+ */
+export function toggleCompareSelection(id) {
+    if (selection.includes(id)) {
+        selection = selection.filter(s => s !== id);
+        return true;
+    }
+    if (selection.length >= MAX_COMPARE) return false;
+    selection = [...selection, id];
+    return true;
+}
+
+/**
+ * Route for comparing these walks, e.g. '/compare?walks=catbells-4cef56,orrest-head-db5b9f'
+ */
+export function compareRoute(ids) {
+    return `/compare?${new URLSearchParams({ walks: ids.join(',') })}`;
+}
+
+function timeText(w, which) {
+    const times = estimateWalkTime(w);
+    return times ? formatDuration(times[which]) : w.time;
+}
+
+// Table rows: label and the cell for one walk
+const ROWS = [
+    ['Distance', w => w.distance],
+    ['Your time', w => timeText(w, 'yours')],
+    ['Book time', w => timeText(w, 'book')],
+    ['Ascent', w => w.elevation || 'N/A'],
+    ['Difficulty', w => {
+        const graded = gradeWalk(w);
+        const note = graded.grade !== w.difficulty ? `<small>graded ${graded.grade}</small>` : '';
+        return `<span style="color:${difficultyColor(w.difficulty)};font-weight:600;">${w.difficulty}</span>${note}`;
+    }],
+    ['Terrain', w => w.terrain],
+    ['Type', w => `${walkTypeIcon(w.walkType)} ${w.walkType || 'walk'}`],
+    ['Route', w => (w.endLat === w.lat && w.endLon === w.lon ? '🔄 Circular' : '➡️ Linear')],
+    ['Start', w => w.start],
+    ['Parking', w => w.parkingDetail || '—']
+];
+
+/**
+ * Show the comparison view for these walks: table, overlaid routes and stacked profiles
+ */
+export function renderComparison(walks) {
+    const ids = walks.map(w => w.id);
+    const table = document.getElementById('compare-table');
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                ${walks.map((w, i) => `
+                    <th>
+                        <span class="compare-swatch" style="background:${COMPARE_COLORS[i]}"></span>
+                        <button class="compare-walk-link" data-open="${w.id}">${w.name}</button>
+                        ${walks.length > 2 ? `<button class="compare-remove" data-remove="${w.id}" title="Remove from comparison">✕</button>` : ''}
+                    </th>
+                `).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${ROWS.map(([label, cell]) => `
+                <tr>
+                    <th>${label}</th>
+                    ${walks.map(w => `<td>${cell(w)}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    table.onclick = e => {
+        const open = e.target.closest('[data-open]');
+        const remove = e.target.closest('[data-remove]');
+        if (open) navigate(`/walk/${encodeURIComponent(open.dataset.open)}`);
+        if (remove) {
+            const remaining = ids.filter(id => id !== remove.dataset.remove);
+            setCompareSelection(remaining);
+            navigate(compareRoute(remaining), { replace: true });
+        }
+    };
+
+    // The map needs the view laid out before it can size itself
+    setTimeout(() => {
+        closeComparison();
+        compareMap = createMap('compare-map');
+        const allPoints = [];
+        walks.forEach((w, i) => {
+            if (w.waypoints && w.waypoints.length > 1) {
+                const route = drawRoute(compareMap, w.waypoints, COMPARE_COLORS[i]);
+                route.line.bindTooltip(w.name, { sticky: true });
+                allPoints.push(...w.waypoints.map(p => [p[0], p[1]]));
+            }
+            parkingMarker(w.lat, w.lon, `${w.name} — ${w.start}`).addTo(compareMap);
+            allPoints.push([w.lat, w.lon]);
+        });
+        fitToWaypoints(compareMap, allPoints, [40, 40]);
+
+        renderProfileStack('compare-profiles', walks.map((w, i) => ({
+            name: w.name,
+            waypoints: w.waypoints,
+            elevation: w.elevation,
+            color: COMPARE_COLORS[i]
+        })));
+    }, 100);
+}
+
+/**
+ * Remove the comparison map (when leaving the view or re-rendering)
+ */
+export function closeComparison() {
+    if (compareMap) {
+        compareMap.remove();
+        compareMap = null;
+    }
+}
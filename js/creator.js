@@ -2,16 +2,57 @@
    Walk Creator — Interactive multi-waypoint route builder
    ═══════════════════════════════════════════════════════ */
 
-import { createMap, parkingMarker, destMarker, drawRoute, fitToWaypoints } from './map-utils.js';
-import { fetchHikingRoute, fetchCircularRoute, fetchMultiWaypointRoute, interpolateRoute, formatDistance, formatDuration } from './route-service.js';
-import { addWalk } from './library.js';
+import { createMap, parkingMarker, destMarker, drawRoute, fitToWaypoints, nearestWaypointIndex, simplifyRoute, computeElevationStats } from './map-utils.js';
+import { pathLength } from './geo.js';
+import { fetchMultiWaypointRoute, fetchRoundTrips, formatDistance, formatDuration, getRoutingEngine } from './route-service.js';
+import { routeOptions } from './routing-providers.js';
+import { addWalk, getWalkById, updateWalk } from './library.js';
+import { estimateTime } from './time-estimate.js';
+import { gradeWalk } from './grading.js';
+import { createHistory } from './history.js';
 
 let creatorMap = null;
 let creatorWaypoints = []; // Array to hold unlimited clicks
 let markers = [];
 let routeLayers = null;
 let generatedWaypoints = [];
+let legOffsets = [];        // Index in generatedWaypoints where each leg starts
 let isCircular = true;
+let routeColor;             // Set when the route fell back to straight lines
+let suppressMapClick = false;
+
+// Undo/redo: every edit records the state before and after it, including route
+// geometry, so undoing never needs a new routing request
+const editHistory = createHistory(restoreState, { onChange: updateHistoryButtons });
+let lastState = null;
+let routeRequest = 0;       // Bumped when pins, route type or options change so stale route responses are dropped
+
+// Routed legs keyed by their end points, so an edit only re-requests the legs it touched
+const legCache = new Map();
+const LEG_CACHE_MAX = 200;
+
+// Library walk being edited (saved in place instead of added)
+let editingWalk = null;
+
+// Walks with more points than this are dense GPS geometry and get control points picked
+const MAX_CONTROL_POINTS = 12;
+
+// Loop generator candidates on the map, one colour each
+const LOOP_COLORS = ['#4ecdc4', '#f0a830', '#a78bfa'];
+let loopCandidates = [];
+let loopLayers = [];
+let loopRequest = 0;        // Bumped whenever candidates are cleared, so late results are dropped
+
+// Routing options for this walk (saved with it). Always replaced, never mutated,
+// so undo states can share it.
+let walkRouteOptions = routeOptions();
+let avoidLayers = [];
+let drawingArea = null;     // Corners of the avoid area being drawn, or null when not drawing
+let drawingLayer = null;
+// The ORS proxy accepts up to 10 areas of 100 points
+const MAX_AVOID_AREAS = 10;
+const MAX_AREA_CORNERS = 99;
+const AVOID_COLOR = '#f87171';
 
 /**
  * Initialise the creator view
@@ -24,27 +65,46 @@ export function initCreator() {
         zoom: 11
     });
 
-    // Click to place unlimited pins
+    // Click to place unlimited pins (or an avoid area's corners while drawing one)
     creatorMap.on('click', (e) => {
+        // The click that ends a route-line drag has already inserted a pin
+        if (suppressMapClick) {
+            suppressMapClick = false;
+            return;
+        }
         const { lat, lng } = e.latlng;
+        if (drawingArea) {
+            addAreaCorner(lat, lng);
+            return;
+        }
         creatorWaypoints.push([lat, lng]);
+        pinsChanged('Add pin');
+    });
 
-        let markerTitle = creatorWaypoints.length === 1 ? '🅿️ Car Park' : `Waypoint ${creatorWaypoints.length}`;
-        let marker = creatorWaypoints.length === 1
-            ? parkingMarker(lat, lng, markerTitle).addTo(creatorMap)
-            : destMarker(lat, lng, markerTitle).addTo(creatorMap);
-
-        markers.push(marker);
+    // Generate button (debounced so a double click doesn't fire two routing requests)
+    document.getElementById('btn-generate').addEventListener('click', () => debouncedGenerateRoute());
 
-        // Update UI
-        document.getElementById('pin-start').classList.add('set');
-        document.getElementById('pin-start').querySelector('.pin-coords').textContent = `${creatorWaypoints.length} point${creatorWaypoints.length !== 1 ? 's' : ''} set`;
+    // Undo/redo buttons and shortcuts
+    lastState = captureState();
+    document.getElementById('btn-undo').addEventListener('click', () => editHistory.undo());
+    document.getElementById('btn-redo').addEventListener('click', () => editHistory.redo());
+    document.addEventListener('keydown', handleHistoryKeys);
 
-        checkGenerateReady();
+    // Routing options: every change re-routes and can be undone
+    syncRouteOptionControls();
+    document.querySelector('.creator-options').addEventListener('change', (e) => {
+        if (e.target.id?.startsWith('ro-') || e.target.dataset.avoid) routeOptionsChanged(readRouteOptionControls(), 'Routing options');
+    });
+    document.getElementById('btn-draw-avoid').addEventListener('click', () => (drawingArea ? finishAvoidArea() : startAvoidArea()));
+    document.getElementById('avoid-areas').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-area]');
+        if (btn) deleteAvoidArea(parseInt(btn.dataset.removeArea, 10));
     });
 
-    // Generate button
-    document.getElementById('btn-generate').addEventListener('click', generateRoute);
+    // Walk details edits are undoable too
+    document.getElementById('creator-form').addEventListener('change', (e) => {
+        if (e.target.id?.startsWith('wf-')) record('Edit walk details');
+    });
 
     // Clear button
     document.getElementById('btn-clear').addEventListener('click', clearPins);
@@ -52,51 +112,326 @@ export function initCreator() {
     // Export button
     document.getElementById('btn-export').addEventListener('click', exportJSON);
 
-    // Add to library button
+    // Add to library button (saves in place when editing a library walk)
     document.getElementById('btn-add-library').addEventListener('click', addToLibrary);
+    document.getElementById('btn-stop-editing').addEventListener('click', () => setEditing(null));
+
+    // Pin list: reorder and delete
+    document.getElementById('pin-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const i = parseInt(btn.dataset.index, 10);
+        if (btn.dataset.action === 'up') movePin(i, i - 1);
+        else if (btn.dataset.action === 'down') movePin(i, i + 1);
+        else if (btn.dataset.action === 'delete') deletePin(i);
+    });
+
+    // Loop generator: suggest circular walks from the car park, click one to use it
+    document.getElementById('btn-suggest-loops').addEventListener('click', suggestLoops);
+    document.getElementById('loop-candidates').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-loop]');
+        if (item) chooseLoop(parseInt(item.dataset.loop, 10));
+    });
+    document.getElementById('loop-candidates').addEventListener('mouseover', (e) => {
+        const item = e.target.closest('[data-loop]');
+        if (item) loopLayers[item.dataset.loop]?.line.bringToFront();
+    });
 
     // Route type toggle
     document.getElementById('route-circular').addEventListener('click', () => {
+        if (isCircular) return;
         isCircular = true;
-        document.getElementById('route-circular').classList.add('active');
-        document.getElementById('route-linear').classList.remove('active');
+        updateRouteTypeToggle();
+        rerouteIfGenerated();
+        record('Circular route');
     });
     document.getElementById('route-linear').addEventListener('click', () => {
+        if (!isCircular) return;
         isCircular = false;
-        document.getElementById('route-linear').classList.add('active');
-        document.getElementById('route-circular').classList.remove('active');
+        updateRouteTypeToggle();
+        rerouteIfGenerated();
+        record('Linear route');
     });
 }
 
 function checkGenerateReady() {
-    // Need at least 2 points to generate a route
+    // Need at least 2 points to generate a route, and a car park to suggest loops from
     document.getElementById('btn-generate').disabled = creatorWaypoints.length < 2;
+    document.getElementById('btn-suggest-loops').disabled = creatorWaypoints.length < 1;
 }
 
-function clearPins() {
+function updateRouteTypeToggle() {
+    document.getElementById('route-circular').classList.toggle('active', isCircular);
+    document.getElementById('route-linear').classList.toggle('active', !isCircular);
+}
+
+/**
+ * Redraw pins and the sidebar list after any edit, re-route if a route is showing,
+ * and record the edit in the undo history
+ */
+function pinsChanged(label) {
+    clearLoopCandidates();
+    renderPins();
+    checkGenerateReady();
+    rerouteIfGenerated();
+    record(label);
+}
+
+/* ── Undo/redo ───────────────────────────────────────── */
+
+/**
+ * Everything an undo needs to put back: pins, route type, route geometry and the form
+ */
+function captureState() {
+    const form = {};
+    document.querySelectorAll('#creator-form [id^="wf-"]').forEach(el => { form[el.id] = el.value; });
+    return {
+        pins: creatorWaypoints.map(p => [...p]),
+        isCircular,
+        route: routeLayers ? { waypoints: generatedWaypoints, offsets: legOffsets, color: routeColor } : null,
+        routeOptions: walkRouteOptions,
+        form,
+        formVisible: document.getElementById('creator-form').style.display !== 'none'
+    };
+}
+
+function restoreState(state) {
+    routeRequest++;
+    clearLoopCandidates();
+    stopDrawingArea();
+    creatorWaypoints = state.pins.map(p => [...p]);
+    isCircular = state.isCircular;
+    updateRouteTypeToggle();
+    walkRouteOptions = state.routeOptions;
+    syncRouteOptionControls();
+    renderAvoidAreas();
+
+    if (state.route) {
+        generatedWaypoints = state.route.waypoints;
+        legOffsets = state.route.offsets;
+        showRoute(state.route.color);
+    } else {
+        removeRoute();
+        generatedWaypoints = [];
+        legOffsets = [];
+    }
+
+    Object.entries(state.form).forEach(([id, value]) => { document.getElementById(id).value = value; });
+    document.getElementById('creator-form').style.display = state.formVisible ? 'block' : 'none';
+
+    renderPins();
+    checkGenerateReady();
+    lastState = state;
+}
+
+/**
+ * Record a change that has just been made
+ */
+function record(label) {
+    const after = captureState();
+    editHistory.push({ label, before: lastState, after });
+    lastState = after;
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    undoBtn.disabled = !editHistory.canUndo();
+    redoBtn.disabled = !editHistory.canRedo();
+    undoBtn.title = editHistory.canUndo() ? `Undo ${editHistory.undoLabel()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = editHistory.canRedo() ? `Redo ${editHistory.redoLabel()} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+/**
+ * Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) while the creator is open —
+ * text fields keep their own native undo
+ */
+function handleHistoryKeys(e) {
+    if (!document.getElementById('view-creator').classList.contains('active')) return;
+    if (e.key === 'Escape' && drawingArea) {
+        stopDrawingArea();
+        return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.target.matches?.('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        editHistory.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        editHistory.redo();
+    }
+}
+
+/**
+ * Draw draggable markers for every pin — drag to move, right-click to delete
+ */
+function renderPins() {
     markers.forEach(m => creatorMap.removeLayer(m));
-    markers = [];
+
+    markers = creatorWaypoints.map(([lat, lng], i) => {
+        const marker = i === 0
+            ? parkingMarker(lat, lng, '🅿️ Car Park')
+            : destMarker(lat, lng, `Waypoint ${i + 1}`);
+        marker.addTo(creatorMap);
+        marker.dragging.enable();
+
+        marker.on('dragend', () => {
+            const pos = marker.getLatLng();
+            creatorWaypoints[i] = [pos.lat, pos.lng];
+            pinsChanged('Move pin');
+        });
+        marker.on('contextmenu', (e) => {
+            L.DomEvent.preventDefault(e.originalEvent);
+            deletePin(i);
+        });
+        return marker;
+    });
+
+    renderPinList();
+}
+
+/**
+ * Sidebar list of pins with reorder and delete controls
+ */
+function renderPinList() {
+    const summary = document.getElementById('pin-start');
+    summary.classList.toggle('set', creatorWaypoints.length > 0);
+    summary.querySelector('.pin-coords').textContent = creatorWaypoints.length
+        ? `${creatorWaypoints.length} point${creatorWaypoints.length !== 1 ? 's' : ''} set`
+        : 'Click map to set...';
+
+    const last = creatorWaypoints.length - 1;
+    document.getElementById('pin-list').innerHTML = creatorWaypoints.map(([lat, lng], i) => `
+        <li class="pin-item">
+            <span class="pin-item-label">${i === 0 ? '🅿️ Car Park' : `📍 Waypoint ${i + 1}`}</span>
+            <span class="pin-coords">${lat.toFixed(4)}, ${lng.toFixed(4)}</span>
+            <span class="pin-item-actions">
+                <button data-action="up" data-index="${i}" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button data-action="down" data-index="${i}" title="Move down" ${i === last ? 'disabled' : ''}>↓</button>
+                <button data-action="delete" data-index="${i}" title="Delete pin">✕</button>
+            </span>
+        </li>
+    `).join('');
+}
+
+function movePin(from, to) {
+    if (to < 0 || to >= creatorWaypoints.length) return;
+    const [pin] = creatorWaypoints.splice(from, 1);
+    creatorWaypoints.splice(to, 0, pin);
+    pinsChanged('Reorder pins');
+}
+
+function deletePin(i) {
+    creatorWaypoints.splice(i, 1);
+    pinsChanged('Delete pin');
+}
+
+/**
+ * Press on the route line and drag to insert a new pin into that leg
+ */
+function startInsertDrag(e) {
+    // While drawing an avoid area the click falls through to the map as a corner
+    if (drawingArea) return;
+    L.DomEvent.stopPropagation(e);
+    const leg = legAt(e.latlng);
+    const ghost = destMarker(e.latlng.lat, e.latlng.lng, 'New waypoint').addTo(creatorMap);
+    creatorMap.dragging.disable();
+
+    const onMove = (ev) => ghost.setLatLng(ev.latlng);
+    creatorMap.on('mousemove', onMove);
+    creatorMap.once('mouseup', (ev) => {
+        creatorMap.off('mousemove', onMove);
+        creatorMap.dragging.enable();
+        creatorMap.removeLayer(ghost);
+        // Swallow the click this mouseup makes, but not a later one when it never comes
+        // (the drag ended off the map)
+        suppressMapClick = true;
+        setTimeout(() => { suppressMapClick = false; });
+        // A pin inserted into leg n sits between pins n and n + 1
+        creatorWaypoints.splice(leg + 1, 0, [ev.latlng.lat, ev.latlng.lng]);
+        pinsChanged('Insert pin');
+    });
+}
+
+/**
+ * Which leg of the generated route a point on the line belongs to
+ */
+function legAt(latlng) {
+    const idx = nearestWaypointIndex(generatedWaypoints, latlng);
+    let leg = 0;
+    while (leg + 1 < legOffsets.length && legOffsets[leg + 1] <= idx) leg++;
+    return leg;
+}
+
+function removeRoute() {
     if (routeLayers) {
         creatorMap.removeLayer(routeLayers.line);
         creatorMap.removeLayer(routeLayers.glow);
         routeLayers = null;
     }
+}
+
+/**
+ * Draw the route with its line and glow grabbable for inserting pins
+ */
+function showRoute(color) {
+    removeRoute();
+    routeColor = color;
+    routeLayers = drawRoute(creatorMap, generatedWaypoints, color);
+    routeLayers.line.on('mousedown', startInsertDrag);
+    routeLayers.glow.on('mousedown', startInsertDrag);
+}
+
+/**
+ * After an edit, re-route straight away if a route is already on the map
+ */
+function rerouteIfGenerated() {
+    // A route still in flight was for the old pins, type or options
+    routeRequest++;
+    if (!routeLayers) return;
+    if (creatorWaypoints.length < 2) {
+        removeRoute();
+        generatedWaypoints = [];
+        legOffsets = [];
+        document.getElementById('creator-form').style.display = 'none';
+        return;
+    }
+    debouncedGenerateRoute({ fit: false, amend: true });
+}
+
+function clearPins() {
+    if (creatorWaypoints.length === 0) return;
+    routeRequest++;
+    clearLoopCandidates();
+    markers.forEach(m => creatorMap.removeLayer(m));
+    markers = [];
+    removeRoute();
 
     creatorWaypoints = [];
     generatedWaypoints = [];
+    legOffsets = [];
 
-    document.getElementById('pin-start').classList.remove('set');
-    document.getElementById('pin-start').querySelector('.pin-coords').textContent = 'Click map to set...';
+    renderPinList();
     document.getElementById('btn-generate').disabled = true;
     document.getElementById('creator-form').style.display = 'none';
     document.getElementById('json-output').style.display = 'none';
 
     const status = document.querySelector('.creator-map-wrap .route-status');
     if (status) status.remove();
+
+    // A new walk starts from the default routing options
+    stopDrawingArea();
+    walkRouteOptions = routeOptions();
+    syncRouteOptionControls();
+    renderAvoidAreas();
+
+    record('Clear pins');
 }
 
 // Debounce utility
-default function debounce(func, wait = 250) {
+function debounce(func, wait = 250) {
     let timeout;
     return function(...args) {
         clearTimeout(timeout);
@@ -107,21 +442,71 @@ default function debounce(func, wait = 250) {
 // Wrap generateRoute with debounce
 const debouncedGenerateRoute = debounce(generateRoute, 500);
 
-// Rebind generate button to debounced version
-document.getElementById('btn-generate').removeEventListener('click', generateRoute);
-document.getElementById('btn-generate').addEventListener('click', debouncedGenerateRoute);
+// Legs are cached per routing engine and routing options, so switching engine in
+// Settings or changing an option re-routes
+function legKey(a, b) {
+    return `${getRoutingEngine().provider}:${JSON.stringify(walkRouteOptions)}:${a[0].toFixed(6)},${a[1].toFixed(6)}|${b[0].toFixed(6)},${b[1].toFixed(6)}`;
+}
+
+function cacheLeg(key, leg) {
+    if (legCache.size >= LEG_CACHE_MAX) legCache.delete(legCache.keys().next().value);
+    legCache.set(key, leg);
+}
+
+/**
+ * Route every leg between consecutive pins, reusing cached legs and fetching
+ * each run of uncached legs with a single multi-waypoint request.
+ * Returns { waypoints, distance, ascent, descent, offsets, fetched, total }
+ */
+async function routeLegs(points) {
+    const keys = points.slice(1).map((p, i) => legKey(points[i], p));
+
+    // Group consecutive uncached legs into runs: [firstLeg, lastLeg]
+    const runs = [];
+    keys.forEach((key, i) => {
+        if (legCache.has(key)) return;
+        const run = runs[runs.length - 1];
+        if (run && run[1] === i - 1) run[1] = i;
+        else runs.push([i, i]);
+    });
+
+    for (const [from, to] of runs) {
+        const result = await fetchMultiWaypointRoute(points.slice(from, to + 2), walkRouteOptions);
+        result.legs.forEach((leg, j) => cacheLeg(keys[from + j], leg));
+    }
+
+    // Join legs, dropping each leg's first point (it repeats the previous leg's last)
+    const waypoints = [];
+    const offsets = [];
+    let distance = 0;
+    let ascent = 0;
+    let descent = 0;
+    keys.forEach((key, i) => {
+        const leg = legCache.get(key);
+        offsets.push(Math.max(0, waypoints.length - 1));
+        waypoints.push(...(i === 0 ? leg.waypoints : leg.waypoints.slice(1)));
+        distance += leg.distance;
+        ascent = ascent === null || leg.ascent === null ? null : ascent + leg.ascent;
+        descent = descent === null || leg.descent === null ? null : descent + leg.descent;
+    });
 
+    return { waypoints, distance, ascent, descent, offsets, fetched: runs.reduce((n, [a, b]) => n + b - a + 1, 0), total: keys.length };
+}
 
 /**
- * Generate walking route through all placed waypoints
+ * Generate walking route through all placed waypoints.
+ * Re-routes after an edit (amend) fold the new geometry into that edit's history entry.
  */
-async function generateRoute() {
+async function generateRoute({ fit = true, amend = false } = {}) {
     if (creatorWaypoints.length < 2) return;
+    const request = ++routeRequest;
+    const command = amend ? editHistory.current() : null;
 
     const btn = document.getElementById('btn-generate');
     btn.disabled = true;
     btn.textContent = '🔄 Generating...';
 
+    document.querySelectorAll('.creator-map-wrap .route-status').forEach(el => el.remove());
     const statusEl = document.createElement('div');
     statusEl.className = 'route-status';
     statusEl.innerHTML = '<span class="spinner"></span> Snapping your points to real trails...';
@@ -136,54 +521,425 @@ async function generateRoute() {
             routePoints.push(creatorWaypoints[0]);
         }
 
-        // Use the multi-waypoint fetcher to snap to real trails
-        // callORS will try the server proxy first (production), then direct API (local dev)
-        const routeData = await fetchMultiWaypointRoute(routePoints);
-        generatedWaypoints = routeData.waypoints;
+        // Route leg by leg, only requesting legs that changed since the last run
+        // with the routing engine chosen in Settings
+        const routeData = await routeLegs(routePoints);
 
-        // Auto-fill form
-        document.getElementById('wf-distance').value = formatDistance(routeData.distance);
-        document.getElementById('wf-time').value = formatDuration(routeData.duration);
+        // The pins changed (or an undo happened) while this request was in flight
+        if (request !== routeRequest) {
+            statusEl.remove();
+            resetGenerateButton();
+            return;
+        }
 
-        statusEl.innerHTML = `✅ Trail route snapped: ${formatDistance(routeData.distance)}, ~${formatDuration(routeData.duration)}`;
+        generatedWaypoints = routeData.waypoints;
+        legOffsets = routeData.offsets;
 
-        // Clear previous route
-        if (routeLayers) {
-            creatorMap.removeLayer(routeLayers.line);
-            creatorMap.removeLayer(routeLayers.glow);
-        }
+        const times = fillRouteDetails(routeData);
 
-        // Draw route
-        routeLayers = drawRoute(creatorMap, generatedWaypoints);
-        fitToWaypoints(creatorMap, generatedWaypoints, [60, 60]);
+        const legsNote = routeData.fetched < routeData.total
+            ? ` (${routeData.fetched} of ${routeData.total} legs re-routed)`
+            : '';
+        statusEl.innerHTML = `✅ Trail route snapped: ${formatDistance(routeData.distance)}, ~${formatDuration(times.book)} (your pace: ${formatDuration(times.yours)})${legsNote}`;
 
-        // Show form
-        document.getElementById('creator-form').style.display = 'block';
+        // Draw route
+        showRoute();
+        if (fit) fitToWaypoints(creatorMap, generatedWaypoints, [60, 60]);
 
     } catch (err) {
         console.error('Route generation failed:', err);
+        if (request !== routeRequest) {
+            statusEl.remove();
+            resetGenerateButton();
+            return;
+        }
 
         // Fallback to raw points
         generatedWaypoints = [...creatorWaypoints];
         if (isCircular) generatedWaypoints.push(creatorWaypoints[0]);
+        legOffsets = generatedWaypoints.slice(0, -1).map((_, i) => i);
 
-        if (routeLayers) {
-            creatorMap.removeLayer(routeLayers.line);
-            creatorMap.removeLayer(routeLayers.glow);
-        }
-
-        routeLayers = drawRoute(creatorMap, generatedWaypoints, '#fbbf24');
-        fitToWaypoints(creatorMap, generatedWaypoints, [60, 60]);
+        showRoute('#fbbf24');
+        if (fit) fitToWaypoints(creatorMap, generatedWaypoints, [60, 60]);
         document.getElementById('creator-form').style.display = 'block';
         statusEl.innerHTML = `⚠️ ${err.message}`;
     }
 
-    btn.textContent = 'Generate Trail Route';
-    btn.disabled = false;
+    resetGenerateButton();
+
+    // A walk-details edit recorded since the pin edit keeps its place in the
+    // history, so the new geometry gets its own entry
+    if (command && editHistory.amend(command, captureState())) {
+        lastState = command.after;
+    } else {
+        record('Generate route');
+    }
 
     setTimeout(() => { if (statusEl.parentNode) statusEl.remove(); }, 8000);
 }
 
+function resetGenerateButton() {
+    document.getElementById('btn-generate').textContent = 'Generate Trail Route';
+    checkGenerateReady();
+}
+
+/**
+ * Auto-fill the form from a routed result (time is Naismith book time from distance
+ * and ascent), pre-select the computed grade (the user can still override it) and
+ * show the form. Returns the time estimates.
+ */
+function fillRouteDetails(route) {
+    const times = estimateTime({ distance: route.distance, ascent: route.ascent || 0, descent: route.descent || 0 });
+    document.getElementById('wf-distance').value = formatDistance(route.distance);
+    document.getElementById('wf-time').value = formatDuration(times.book);
+    if (route.ascent != null) {
+        document.getElementById('wf-elevation').value = `${Math.round(route.ascent)}m`;
+    }
+    document.getElementById('wf-difficulty').value = gradeWalk(buildWalkObject()).grade;
+    document.getElementById('creator-form').style.display = 'block';
+    return times;
+}
+
+/* ── Loop generator ──────────────────────────────────── */
+
+function clearLoopCandidates() {
+    loopRequest++;
+    loopLayers.forEach(({ line, glow }) => {
+        creatorMap.removeLayer(line);
+        creatorMap.removeLayer(glow);
+    });
+    loopLayers = [];
+    loopCandidates = [];
+    document.getElementById('loop-candidates').innerHTML = '';
+}
+
+/**
+ * Ask the routing engine for circular walks of the chosen length from the car park pin
+ */
+async function suggestLoops() {
+    if (creatorWaypoints.length === 0) return;
+    const [lat, lon] = creatorWaypoints[0];
+    const length = parseFloat(document.getElementById('loop-length').value) * 1000;
+    const heading = document.getElementById('loop-direction').value;
+    const btn = document.getElementById('btn-suggest-loops');
+    if (!(length > 0)) return;
+
+    clearLoopCandidates();
+    const request = loopRequest;
+    btn.disabled = true;
+    btn.textContent = '🔄 Finding loops...';
+
+    try {
+        const loops = await fetchRoundTrips(lat, lon, length, {
+            direction: heading === '' ? null : Number(heading),
+            routeOptions: walkRouteOptions
+        });
+        btn.textContent = '🔁 Suggest Loops';
+        // The pins changed while the request was in flight
+        if (request !== loopRequest) return;
+        loopCandidates = loops;
+        showLoopCandidates();
+    } catch (err) {
+        console.error('Loop generation failed:', err);
+        btn.textContent = `❌ ${err.message}`;
+        setTimeout(() => { btn.textContent = '🔁 Suggest Loops'; }, 3000);
+    } finally {
+        checkGenerateReady();
+    }
+}
+
+/**
+ * Draw each candidate in its own colour and list it with distance, ascent and time
+ */
+function showLoopCandidates() {
+    loopLayers = loopCandidates.map((loop, i) => {
+        const layers = drawRoute(creatorMap, loop.waypoints, LOOP_COLORS[i]);
+        layers.line.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            chooseLoop(i);
+        });
+        return layers;
+    });
+    fitToWaypoints(creatorMap, loopCandidates.flatMap(l => l.waypoints), [60, 60]);
+
+    document.getElementById('loop-candidates').innerHTML = loopCandidates.map((loop, i) => {
+        const times = estimateTime({ distance: loop.distance, ascent: loop.ascent || 0, descent: loop.descent || 0 });
+        return `
+            <li class="loop-candidate" data-loop="${i}" title="Use this loop">
+                <span class="compare-swatch" style="background:${LOOP_COLORS[i]}"></span>
+                <strong>Loop ${i + 1}</strong>
+                <span>${formatDistance(loop.distance)}</span>
+                <span>${loop.ascent != null ? `↗ ${Math.round(loop.ascent)}m` : ''}</span>
+                <span>~${formatDuration(times.book)}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Make a candidate the generated route: a circular walk with a handful of pins
+ * picked along it, so it can be edited like any other route
+ */
+function chooseLoop(i) {
+    const loop = loopCandidates[i];
+    if (!loop) return;
+    const [lat, lon] = creatorWaypoints[0];
+    clearLoopCandidates();
+
+    routeRequest++;
+    const { pins, offsets } = controlPointsFor({ lat, lon, waypoints: loop.waypoints }, true);
+    creatorWaypoints = pins;
+    isCircular = true;
+    updateRouteTypeToggle();
+
+    generatedWaypoints = loop.waypoints;
+    legOffsets = offsets.slice(0, -1);
+    seedLegCache([...pins, pins[0]], loop.waypoints, offsets);
+    showRoute();
+    fitToWaypoints(creatorMap, generatedWaypoints, [60, 60]);
+
+    renderPins();
+    checkGenerateReady();
+    fillRouteDetails(loop);
+    record('Choose loop');
+}
+
+/* ── Routing options ─────────────────────────────────── */
+
+function syncRouteOptionControls() {
+    document.getElementById('ro-steepness').value = walkRouteOptions.steepness;
+    document.getElementById('ro-preference').value = walkRouteOptions.preference;
+    document.getElementById('ro-radius').value = walkRouteOptions.radius;
+    document.querySelectorAll('.creator-options [data-avoid]').forEach(box => {
+        box.checked = walkRouteOptions.avoidFeatures.includes(box.dataset.avoid);
+    });
+}
+
+function readRouteOptionControls() {
+    const radius = parseInt(document.getElementById('ro-radius').value, 10);
+    return {
+        ...walkRouteOptions,
+        steepness: parseInt(document.getElementById('ro-steepness').value, 10),
+        preference: document.getElementById('ro-preference').value,
+        radius: radius > 0 ? Math.min(radius, 5000) : walkRouteOptions.radius,
+        avoidFeatures: [...document.querySelectorAll('.creator-options [data-avoid]:checked')].map(box => box.dataset.avoid)
+    };
+}
+
+/**
+ * Switch to new routing options, re-route if a route is showing, and record the edit
+ */
+function routeOptionsChanged(options, label) {
+    walkRouteOptions = options;
+    syncRouteOptionControls();
+    renderAvoidAreas();
+    clearLoopCandidates();
+    rerouteIfGenerated();
+    record(label);
+}
+
+/**
+ * Draw the avoid areas on the map and list them with delete buttons
+ */
+function renderAvoidAreas() {
+    avoidLayers.forEach(layer => creatorMap.removeLayer(layer));
+    avoidLayers = walkRouteOptions.avoidAreas.map((ring, i) => L.polygon(ring, {
+        color: AVOID_COLOR,
+        weight: 2,
+        dashArray: '6 4',
+        fillOpacity: 0.15,
+        interactive: false
+    }).bindTooltip(`Avoid area ${i + 1}`).addTo(creatorMap));
+
+    document.getElementById('avoid-areas').innerHTML = walkRouteOptions.avoidAreas.map((ring, i) => `
+        <li class="avoid-area">
+            <strong>🚫 Avoid area ${i + 1}</strong>
+            <span>${ring.length} corners</span>
+            <button data-remove-area="${i}" title="Delete avoid area">✕</button>
+        </li>
+    `).join('');
+    updateDrawButton();
+}
+
+function updateDrawButton() {
+    const btn = document.getElementById('btn-draw-avoid');
+    btn.textContent = drawingArea ? `✅ Finish Area (${drawingArea.length} corners)` : '🚫 Draw Avoid Area';
+    btn.disabled = !drawingArea && walkRouteOptions.avoidAreas.length >= MAX_AVOID_AREAS;
+}
+
+function startAvoidArea() {
+    clearLoopCandidates();
+    drawingArea = [];
+    drawingLayer = L.polygon([], { color: AVOID_COLOR, weight: 2, fillOpacity: 0.1, interactive: false }).addTo(creatorMap);
+    document.querySelector('.creator-map-wrap').classList.add('drawing-avoid');
+    updateDrawButton();
+}
+
+function addAreaCorner(lat, lng) {
+    if (drawingArea.length >= MAX_AREA_CORNERS) return;
+    drawingArea.push([lat, lng]);
+    drawingLayer.setLatLngs(drawingArea);
+    updateDrawButton();
+}
+
+/**
+ * Leave drawing mode, dropping any unfinished area
+ */
+function stopDrawingArea() {
+    if (drawingLayer) creatorMap.removeLayer(drawingLayer);
+    drawingLayer = null;
+    drawingArea = null;
+    document.querySelector('.creator-map-wrap').classList.remove('drawing-avoid');
+    updateDrawButton();
+}
+
+/**
+ * Keep the drawn area (it needs three corners to enclose anything) and re-route around it
+ */
+function finishAvoidArea() {
+    const ring = drawingArea;
+    stopDrawingArea();
+    if (ring.length < 3) return;
+    routeOptionsChanged({ ...walkRouteOptions, avoidAreas: [...walkRouteOptions.avoidAreas, ring] }, 'Add avoid area');
+}
+
+function deleteAvoidArea(i) {
+    routeOptionsChanged({ ...walkRouteOptions, avoidAreas: walkRouteOptions.avoidAreas.filter((_, j) => j !== i) }, 'Delete avoid area');
+}
+
+/* ── Editing library walks ───────────────────────────── */
+
+/**
+ * Load a library walk into the Creator: pins, route type, routing options, geometry
+ * and form. The existing geometry is reused (seeded into the leg cache), so only legs
+ * that are actually edited go back to the routing engine.
+ */
+export function editWalk(id) {
+    const walk = getWalkById(id);
+    if (!walk) return;
+    initCreator();
+    routeRequest++;
+    clearLoopCandidates();
+    stopDrawingArea();
+
+    // Leg keys include the options, so they're set before the cache is seeded
+    walkRouteOptions = routeOptions(walk.routeOptions);
+    syncRouteOptionControls();
+    renderAvoidAreas();
+
+    const waypoints = walk.waypoints || [];
+    const circular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    const { pins, offsets } = controlPointsFor(walk, circular);
+
+    creatorWaypoints = pins;
+    isCircular = circular;
+    updateRouteTypeToggle();
+
+    if (waypoints.length >= 2) {
+        generatedWaypoints = waypoints;
+        legOffsets = offsets.slice(0, -1);
+        seedLegCache(circular ? [...pins, pins[0]] : pins, waypoints, offsets);
+        showRoute();
+        fitToWaypoints(creatorMap, waypoints, [60, 60]);
+    } else {
+        removeRoute();
+        generatedWaypoints = [];
+        legOffsets = [];
+    }
+
+    document.getElementById('wf-name').value = walk.name || '';
+    document.getElementById('wf-difficulty').value = walk.difficulty || 'Easy';
+    document.getElementById('wf-distance').value = walk.distance || '';
+    document.getElementById('wf-time').value = walk.time || '';
+    document.getElementById('wf-elevation').value = walk.elevation || '';
+    document.getElementById('wf-terrain').value = walk.terrain || '';
+    document.getElementById('wf-walktype').value = walk.walkType || 'summit';
+    document.getElementById('wf-desc').value = walk.desc || '';
+    document.getElementById('wf-parking').value = walk.parkingDetail || walk.start || '';
+    document.getElementById('wf-payoff').value = walk.thePayoff || '';
+    document.getElementById('creator-form').style.display = 'block';
+    document.getElementById('json-output').style.display = 'none';
+
+    renderPins();
+    checkGenerateReady();
+    setEditing(walk);
+
+    // Undo history starts fresh from the loaded walk
+    editHistory.clear();
+    lastState = captureState();
+}
+
+/**
+ * Pins for an existing walk and the geometry index each pin (plus the closing
+ * point of a loop) sits at. Uses the walk's saved control points when it has them,
+ * the geometry itself when it's sparse, and Douglas–Peucker picks for dense tracks.
+ */
+function controlPointsFor(walk, circular) {
+    const wps = walk.waypoints || [];
+    const last = wps.length - 1;
+    const carPark = [walk.lat, walk.lon];
+    if (wps.length < 2) return { pins: [carPark], offsets: [0] };
+
+    let indices;
+    if (walk.controlPoints?.length >= 2) {
+        // Match saved pins to the geometry in route order
+        indices = [0];
+        walk.controlPoints.slice(1).forEach(([lat, lon]) => {
+            const from = indices[indices.length - 1];
+            indices.push(from + nearestWaypointIndex(wps.slice(from), { lat, lng: lon }));
+        });
+    } else if (wps.length <= MAX_CONTROL_POINTS + 1) {
+        indices = wps.map((_, i) => i);
+    } else {
+        // Loosen the tolerance until the route is described by a handful of pins
+        let tolerance = 25;
+        indices = simplifyRoute(wps, tolerance);
+        while (indices.length > MAX_CONTROL_POINTS + 1) {
+            tolerance *= 2;
+            indices = simplifyRoute(wps, tolerance);
+        }
+    }
+
+    // A loop's final point is the car park again — that's the closing leg, not a pin.
+    // A linear route's last pin is always the end of the geometry.
+    const saved = walk.controlPoints?.length >= 2;
+    if (circular && !saved && indices[indices.length - 1] === last && indices.length > 2) indices.pop();
+    if (!circular) indices[indices.length - 1] = last;
+
+    const pins = saved
+        ? walk.controlPoints.map(p => [p[0], p[1]])
+        : indices.map((idx, i) => i === 0 ? carPark : [wps[idx][0], wps[idx][1]]);
+    return { pins, offsets: circular ? [...indices, last] : indices };
+}
+
+/**
+ * Cache each leg of an existing route so unchanged legs are never re-requested
+ */
+function seedLegCache(points, waypoints, offsets) {
+    for (let i = 0; i < points.length - 1; i++) {
+        const legWps = waypoints.slice(offsets[i], offsets[i + 1] + 1);
+        const distance = pathLength(legWps);
+        const stats = computeElevationStats(legWps);
+        cacheLeg(legKey(points[i], points[i + 1]), {
+            waypoints: legWps,
+            distance,
+            ascent: stats ? stats.ascent : null,
+            descent: stats ? stats.descent : null,
+            instructions: []
+        });
+    }
+}
+
+/**
+ * Enter or leave edit mode — the banner and save button follow it
+ */
+function setEditing(walk) {
+    editingWalk = walk;
+    document.getElementById('creator-editing').style.display = walk ? 'flex' : 'none';
+    document.getElementById('creator-editing-name').textContent = walk ? walk.name : '';
+    document.getElementById('btn-add-library').textContent = walk ? '💾 Save Changes' : '➕ Add to Library';
+}
+
 /**
  * Build walk object from form
  */
@@ -205,6 +961,8 @@ function buildWalkObject() {
         routeUrl: '',
         walkType: document.getElementById('wf-walktype').value,
         waypoints: generatedWaypoints,
+        controlPoints: creatorWaypoints.map(p => [...p]),
+        routeOptions: walkRouteOptions,
         endLat: isCircular ? startCoords[0] : endCoords[0],
         endLon: isCircular ? startCoords[1] : endCoords[1],
         directions: [],
@@ -238,10 +996,43 @@ function exportJSON() {
 /**
  * Add walk directly to library
  */
-function addToLibrary() {
+async function addToLibrary() {
     const walk = buildWalkObject();
-    addWalk(walk);
     const btn = document.getElementById('btn-add-library');
+    const label = btn.textContent;
+
+    // Save in place — unless the walk was deleted meanwhile, then it's added as new
+    if (editingWalk && getWalkById(editingWalk.id)) {
+        // Keep fields the form doesn't cover (directions, route URL, start name unless the parking changed)
+        const parkingChanged = walk.parkingDetail !== (editingWalk.parkingDetail || editingWalk.start || '');
+        const updated = {
+            ...editingWalk,
+            ...walk,
+            start: parkingChanged ? walk.start : editingWalk.start,
+            routeUrl: editingWalk.routeUrl || '',
+            directions: editingWalk.directions || []
+        };
+        try {
+            await updateWalk(editingWalk.id, updated);
+        } catch (err) {
+            btn.textContent = `❌ ${err.message}`;
+            setTimeout(() => { btn.textContent = label; }, 4000);
+            return;
+        }
+        editingWalk = updated;
+        btn.textContent = '✅ Walk Updated!';
+        setTimeout(() => { btn.textContent = '💾 Save Changes'; }, 2000);
+        return;
+    }
+
+    try {
+        await addWalk(walk);
+    } catch (err) {
+        btn.textContent = `❌ ${err.message}`;
+        setTimeout(() => { btn.textContent = label; }, 4000);
+        return;
+    }
+    setEditing(null);
     btn.textContent = '✅ Added to Library!';
     setTimeout(() => { btn.textContent = '➕ Add to Library'; }, 2000);
 }
@@ -0,0 +1,452 @@
+/* ═══════════════════════════════════════════════════════
+   Exporters — GPX, KML, GeoJSON, TCX and FIT course files
+   ═══════════════════════════════════════════════════════ */
+
+import { generateGPX, directionLocations, nearestWaypointIndex, difficultyColor, computeElevationStats, escapeXml } from './map-utils.js';
+import { haversine } from './geo.js';
+import { estimateWalkTime } from './time-estimate.js';
+
+/**
+ * Export formats offered by the format picker
+ */
+export const EXPORT_FORMATS = {
+    gpx: { label: 'GPX', ext: 'gpx', type: 'application/gpx+xml' },
+    kml: { label: 'KML (Google Earth)', ext: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+    geojson: { label: 'GeoJSON', ext: 'geojson', type: 'application/geo+json' },
+    tcx: { label: 'TCX course', ext: 'tcx', type: 'application/vnd.garmin.tcx+xml' },
+    fit: { label: 'FIT course', ext: 'fit', type: 'application/vnd.ant.fit' }
+};
+
+const ROUTE_COLOR = '#f0a830';
+
+/**
+ * Download a walk in one of EXPORT_FORMATS
+ * Options are passed through to the generator (e.g. { includeRoute } for GPX)
+ */
+export function downloadWalk(walk, format, options = {}) {
+    const fmt = EXPORT_FORMATS[format];
+    if (!fmt) throw new Error(`Unknown export format: ${format}`);
+
+    const generators = {
+        gpx: () => generateGPX(walk, options),
+        kml: () => generateKML(walk),
+        geojson: () => JSON.stringify(generateGeoJSON(walk), null, 2),
+        tcx: () => generateTCX(walk),
+        fit: () => generateFIT(walk)
+    };
+    downloadBlob(generators[format](), `${fileSafeName(walk.name)}.${fmt.ext}`, fmt.type);
+}
+
+/**
+ * Download the whole library as a single multi-walk GeoJSON or KML file
+ */
+export function downloadLibrary(walks, format) {
+    if (format === 'geojson') {
+        downloadBlob(JSON.stringify(generateLibraryGeoJSON(walks), null, 2), 'trail-mapper-walks.geojson', EXPORT_FORMATS.geojson.type);
+    } else if (format === 'kml') {
+        downloadBlob(generateLibraryKML(walks), 'trail-mapper-walks.kml', EXPORT_FORMATS.kml.type);
+    } else {
+        throw new Error(`Library export not supported for ${format}`);
+    }
+}
+
+function downloadBlob(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function fileSafeName(name) {
+    return (name || 'walk').replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+/**
+ * Track points with cumulative distance (m) and a nominal time offset (s)
+ * spread over the book time, for formats that need timestamps
+ */
+function trackPoints(walk) {
+    const wps = walk.waypoints || [];
+    const pts = [];
+    let dist = 0;
+    for (let i = 0; i < wps.length; i++) {
+        if (i > 0) dist += haversine(wps[i - 1][0], wps[i - 1][1], wps[i][0], wps[i][1]);
+        pts.push({ lat: wps[i][0], lon: wps[i][1], ele: Number.isFinite(wps[i][2]) ? wps[i][2] : null, dist });
+    }
+
+    const total = dist || 1;
+    const duration = estimateWalkTime(walk)?.book || (total / 5000) * 3600;
+    pts.forEach(p => { p.time = (p.dist / total) * duration; });
+    return pts;
+}
+
+/**
+ * Direction steps with their location and position along the track
+ */
+function coursePoints(walk, pts) {
+    const locs = directionLocations(walk);
+    return (walk.directions || []).map((d, i) => {
+        const loc = locs[i];
+        const idx = pts.length ? nearestWaypointIndex(walk.waypoints, { lat: loc[0], lng: loc[1] }) : 0;
+        return {
+            name: d.landmark || `Step ${d.step}`,
+            notes: d.instruction || '',
+            step: d.step,
+            lat: loc[0],
+            lon: loc[1],
+            dist: pts[idx]?.dist || 0,
+            time: pts[idx]?.time || 0,
+            type: coursePointType(`${d.landmark || ''} ${d.instruction || ''}`)
+        };
+    });
+}
+
+/**
+ * TCX/FIT course point type from a direction's text
+ */
+function coursePointType(text) {
+    if (/\bleft\b/i.test(text)) return 'Left';
+    if (/\bright\b/i.test(text)) return 'Right';
+    if (/summit|top of|trig/i.test(text)) return 'Summit';
+    if (/caf[eé]|pub|inn\b|tea ?room/i.test(text)) return 'Food';
+    if (/tarn|lake|river|beck|waterfall|force|ghyll/i.test(text)) return 'Water';
+    if (/scrambl|exposed|danger|care/i.test(text)) return 'Danger';
+    return 'Generic';
+}
+
+/* ── KML ─────────────────────────────────────────────── */
+
+// KML colours are aabbggrr
+function kmlColor(hex, alpha = 'ff') {
+    const h = hex.replace('#', '');
+    return `${alpha}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`;
+}
+
+function kmlStyles() {
+    const difficulties = ['Easy', 'Moderate', 'Challenging'];
+    return `
+    <Style id="route"><LineStyle><color>${kmlColor(ROUTE_COLOR)}</color><width>4</width></LineStyle></Style>
+${difficulties.map(d => `    <Style id="route-${d}"><LineStyle><color>${kmlColor(difficultyColor(d))}</color><width>4</width></LineStyle></Style>`).join('\n')}
+    <Style id="carpark"><IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/parking_lot.png</href></Icon></IconStyle></Style>
+    <Style id="destination"><IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/paddle/red-stars.png</href></Icon></IconStyle></Style>
+    <Style id="direction"><IconStyle><scale>0.8</scale><Icon><href>http://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon></IconStyle></Style>`;
+}
+
+function kmlPlacemark(name, description, styleId, lat, lon) {
+    return `
+      <Placemark>
+        <name>${escapeXml(name)}</name>
+        ${description ? `<description>${escapeXml(description)}</description>` : ''}
+        <styleUrl>#${styleId}</styleUrl>
+        <Point><coordinates>${lon},${lat}</coordinates></Point>
+      </Placemark>`;
+}
+
+function kmlWalkFolder(walk) {
+    const wps = walk.waypoints || [];
+    const coords = wps.map(wp => Number.isFinite(wp[2]) ? `${wp[1]},${wp[0]},${wp[2]}` : `${wp[1]},${wp[0]}`).join(' ');
+    const style = ['Easy', 'Moderate', 'Challenging'].includes(walk.difficulty) ? `route-${walk.difficulty}` : 'route';
+    const isCircular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    const locs = directionLocations(walk);
+
+    return `
+    <Folder>
+      <name>${escapeXml(walk.name)}</name>
+      <description>${escapeXml([walk.distance, walk.time, walk.difficulty, walk.desc].filter(Boolean).join(' · '))}</description>
+      ${wps.length > 1 ? `<Placemark>
+        <name>${escapeXml(walk.name)}</name>
+        <styleUrl>#${style}</styleUrl>
+        <LineString><tessellate>1</tessellate><altitudeMode>clampToGround</altitudeMode><coordinates>${coords}</coordinates></LineString>
+      </Placemark>` : ''}${kmlPlacemark(walk.start || 'Car Park', walk.parkingDetail, 'carpark', walk.lat, walk.lon)}${
+        Number.isFinite(walk.endLat) && !isCircular ? kmlPlacemark(walk.name, walk.thePayoff, 'destination', walk.endLat, walk.endLon) : ''}${
+        (walk.directions || []).map((d, i) => kmlPlacemark(`${d.step}. ${d.landmark || `Step ${d.step}`}`, d.instruction, 'direction', locs[i][0], locs[i][1])).join('')}
+    </Folder>`;
+}
+
+/**
+ * Generate KML for Google Earth: styled route line plus car park, destination and direction placemarks
+ */
+export function generateKML(walk) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(walk.name)}</name>${kmlStyles()}${kmlWalkFolder(walk)}
+  </Document>
+</kml>`;
+}
+
+/**
+ * Generate a KML document with one folder per walk
+ */
+export function generateLibraryKML(walks) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Trail Mapper Pro — ${walks.length} walks</name>${kmlStyles()}${walks.map(kmlWalkFolder).join('')}
+  </Document>
+</kml>`;
+}
+
+/* ── GeoJSON ─────────────────────────────────────────── */
+
+function walkFeatures(walk) {
+    const wps = walk.waypoints || [];
+    const toCoord = wp => Number.isFinite(wp[2]) ? [wp[1], wp[0], wp[2]] : [wp[1], wp[0]];
+    const isCircular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    const locs = directionLocations(walk);
+    // Library walks are referenced by ID; unsaved Creator walks fall back to their name
+    const walkRef = walk.id || walk.name;
+    const features = [];
+
+    if (wps.length > 1) {
+        features.push({
+            type: 'Feature',
+            ...(walk.id ? { id: walk.id } : {}),
+            geometry: { type: 'LineString', coordinates: wps.map(toCoord) },
+            properties: {
+                role: 'route',
+                walk: walkRef,
+                name: walk.name,
+                distance: walk.distance,
+                time: walk.time,
+                difficulty: walk.difficulty,
+                walkType: walk.walkType,
+                elevation: walk.elevation,
+                terrain: walk.terrain,
+                start: walk.start,
+                desc: walk.desc,
+                thePayoff: walk.thePayoff,
+                circular: isCircular
+            }
+        });
+    }
+
+    features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [walk.lon, walk.lat] },
+        properties: { role: 'carpark', walk: walkRef, name: walk.start || 'Car Park', parkingDetail: walk.parkingDetail || '' }
+    });
+
+    if (Number.isFinite(walk.endLat) && !isCircular) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [walk.endLon, walk.endLat] },
+            properties: { role: 'destination', walk: walkRef, name: walk.name, walkType: walk.walkType }
+        });
+    }
+
+    (walk.directions || []).forEach((d, i) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: toCoord(locs[i]) },
+            properties: { role: 'direction', walk: walkRef, step: d.step, name: d.landmark || `Step ${d.step}`, instruction: d.instruction }
+        });
+    });
+
+    return features;
+}
+
+/**
+ * Generate a GeoJSON FeatureCollection: route LineString plus car park,
+ * destination and direction-step Points (distinguished by properties.role)
+ */
+export function generateGeoJSON(walk) {
+    return { type: 'FeatureCollection', features: walkFeatures(walk) };
+}
+
+/**
+ * Generate a single FeatureCollection for the whole library
+ */
+export function generateLibraryGeoJSON(walks) {
+    return { type: 'FeatureCollection', features: walks.flatMap(walkFeatures) };
+}
+
+/* ── TCX ─────────────────────────────────────────────── */
+
+/**
+ * Generate a Garmin TCX course with trackpoints and course points
+ * (TCX limits course names to 15 characters and course point names to 10)
+ */
+export function generateTCX(walk) {
+    const pts = trackPoints(walk);
+    const cps = coursePoints(walk, pts);
+    const start = Date.now();
+    const iso = offset => new Date(start + offset * 1000).toISOString();
+    const position = (lat, lon) => `<Position><LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>${lon}</LongitudeDegrees></Position>`;
+    const first = pts[0] || { lat: walk.lat, lon: walk.lon, dist: 0, time: 0 };
+    const last = pts[pts.length - 1] || first;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses>
+    <Course>
+      <Name>${escapeXml((walk.name || 'Walk').slice(0, 15))}</Name>
+      <Lap>
+        <TotalTimeSeconds>${Math.round(last.time)}</TotalTimeSeconds>
+        <DistanceMeters>${last.dist.toFixed(1)}</DistanceMeters>
+        <BeginPosition><LatitudeDegrees>${first.lat}</LatitudeDegrees><LongitudeDegrees>${first.lon}</LongitudeDegrees></BeginPosition>
+        <EndPosition><LatitudeDegrees>${last.lat}</LatitudeDegrees><LongitudeDegrees>${last.lon}</LongitudeDegrees></EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+${pts.map(p => `        <Trackpoint><Time>${iso(p.time)}</Time>${position(p.lat, p.lon)}${p.ele !== null ? `<AltitudeMeters>${p.ele.toFixed(1)}</AltitudeMeters>` : ''}<DistanceMeters>${p.dist.toFixed(1)}</DistanceMeters></Trackpoint>`).join('\n')}
+      </Track>
+${cps.map(cp => `      <CoursePoint><Name>${escapeXml(cp.name.slice(0, 10))}</Name><Time>${iso(cp.time)}</Time>${position(cp.lat, cp.lon)}<PointType>${cp.type}</PointType><Notes>${escapeXml(cp.notes)}</Notes></CoursePoint>`).join('\n')}
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>`;
+}
+
+/* ── FIT ─────────────────────────────────────────────── */
+
+// FIT epoch is 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Base types: [id, size, invalid value]
+const FIT = {
+    enum: [0x00, 1, 0xFF],
+    uint8: [0x02, 1, 0xFF],
+    uint16: [0x84, 2, 0xFFFF],
+    sint32: [0x85, 4, 0x7FFFFFFF],
+    uint32: [0x86, 4, 0xFFFFFFFF],
+    uint32z: [0x8C, 4, 0],
+    string: [0x07, 0, 0]
+};
+
+const FIT_COURSE_POINT_TYPES = { Generic: 0, Summit: 1, Valley: 2, Water: 3, Food: 4, Danger: 5, Left: 6, Right: 7, Straight: 8 };
+const FIT_SPORT_HIKING = 17;
+
+const FIT_CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+function fitCrc(bytes, crc = 0) {
+    for (const byte of bytes) {
+        let tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ FIT_CRC_TABLE[byte & 0xF];
+        tmp = FIT_CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+const semicircles = deg => Math.round(deg * (2 ** 31 / 180));
+
+/**
+ * Minimal FIT message writer.
+ * define(local, globalNum, fields) where fields are [fieldNum, baseType, stringSize?];
+ * write(local, values) with values aligned to the definition (null = invalid).
+ */
+function fitWriter() {
+    const bytes = [];
+    const defs = {};
+
+    return {
+        define(local, globalNum, fields) {
+            defs[local] = fields;
+            bytes.push(0x40 | local, 0, 0, globalNum & 0xFF, globalNum >> 8, fields.length);
+            fields.forEach(([num, type, strSize]) => {
+                bytes.push(num, type === FIT.string ? strSize : type[1], type[0]);
+            });
+        },
+        write(local, values) {
+            bytes.push(local);
+            defs[local].forEach(([, type, strSize], i) => {
+                const value = values[i];
+                if (type === FIT.string) {
+                    const encoded = new TextEncoder().encode(String(value ?? '')).slice(0, strSize - 1);
+                    for (let b = 0; b < strSize; b++) bytes.push(encoded[b] || 0);
+                    return;
+                }
+                const buf = new DataView(new ArrayBuffer(type[1]));
+                const v = value === null || value === undefined || Number.isNaN(value) ? type[2] : Math.round(value);
+                if (type[1] === 1) buf.setUint8(0, v);
+                else if (type[1] === 2) buf.setUint16(0, v, true);
+                else if (type === FIT.sint32) buf.setInt32(0, v, true);
+                else buf.setUint32(0, v, true);
+                bytes.push(...new Uint8Array(buf.buffer));
+            });
+        },
+        bytes
+    };
+}
+
+/**
+ * Generate a binary FIT course file for Garmin/Wahoo units:
+ * file_id, course, lap, timer events, records and course points
+ */
+export function generateFIT(walk) {
+    const pts = trackPoints(walk);
+    const cps = coursePoints(walk, pts);
+    const start = Math.floor(Date.now() / 1000) - FIT_EPOCH_OFFSET;
+    const first = pts[0] || { lat: walk.lat, lon: walk.lon, dist: 0, time: 0 };
+    const last = pts[pts.length - 1] || first;
+    const stats = computeElevationStats(walk.waypoints);
+    const fit = fitWriter();
+
+    // file_id (type 6 = course, manufacturer 255 = development)
+    fit.define(0, 0, [[0, FIT.enum], [1, FIT.uint16], [2, FIT.uint16], [3, FIT.uint32z], [4, FIT.uint32]]);
+    fit.write(0, [6, 255, 0, start & 0x7FFFFFFF, start]);
+
+    // course
+    fit.define(1, 31, [[5, FIT.string, 32], [4, FIT.enum]]);
+    fit.write(1, [walk.name || 'Walk', FIT_SPORT_HIKING]);
+
+    // lap
+    fit.define(2, 19, [
+        [253, FIT.uint32], [2, FIT.uint32],
+        [3, FIT.sint32], [4, FIT.sint32], [5, FIT.sint32], [6, FIT.sint32],
+        [7, FIT.uint32], [8, FIT.uint32], [9, FIT.uint32],
+        [21, FIT.uint16], [22, FIT.uint16]
+    ]);
+    fit.write(2, [
+        start, start,
+        semicircles(first.lat), semicircles(first.lon), semicircles(last.lat), semicircles(last.lon),
+        last.time * 1000, last.time * 1000, last.dist * 100,
+        stats ? stats.ascent : null, stats ? stats.descent : null
+    ]);
+
+    // event: timer start (event 0, type 0) / stop all (type 4)
+    fit.define(3, 21, [[253, FIT.uint32], [0, FIT.enum], [1, FIT.enum]]);
+    fit.write(3, [start, 0, 0]);
+
+    // records (altitude: scale 5, offset 500; distance: scale 100)
+    fit.define(4, 20, [[253, FIT.uint32], [0, FIT.sint32], [1, FIT.sint32], [2, FIT.uint16], [5, FIT.uint32]]);
+    pts.forEach(p => {
+        fit.write(4, [
+            start + Math.round(p.time),
+            semicircles(p.lat), semicircles(p.lon),
+            p.ele !== null ? (p.ele + 500) * 5 : null,
+            p.dist * 100
+        ]);
+    });
+
+    // course points
+    fit.define(5, 32, [[254, FIT.uint16], [1, FIT.uint32], [2, FIT.sint32], [3, FIT.sint32], [4, FIT.uint32], [5, FIT.enum], [6, FIT.string, 16]]);
+    cps.forEach((cp, i) => {
+        fit.write(5, [
+            i, start + Math.round(cp.time),
+            semicircles(cp.lat), semicircles(cp.lon),
+            cp.dist * 100, FIT_COURSE_POINT_TYPES[cp.type] ?? 0, cp.name
+        ]);
+    });
+
+    fit.write(3, [start + Math.round(last.time), 0, 4]);
+
+    // 14-byte header (protocol 2.0, profile 21.40) + data + file CRC
+    const data = fit.bytes;
+    const header = [14, 0x20, 2140 & 0xFF, 2140 >> 8,
+        data.length & 0xFF, (data.length >> 8) & 0xFF, (data.length >> 16) & 0xFF, (data.length >> 24) & 0xFF,
+        0x2E, 0x46, 0x49, 0x54]; // ".FIT"
+    const headerCrc = fitCrc(header);
+    header.push(headerCrc & 0xFF, headerCrc >> 8);
+
+    const fileCrc = fitCrc(data, fitCrc(header));
+    return new Uint8Array([...header, ...data, fileCrc & 0xFF, fileCrc >> 8]);
+}
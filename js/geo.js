@@ -0,0 +1,120 @@
+/* ═══════════════════════════════════════════════════════
+   Geo — Distances, bearings, areas, geocoding and the browser's location
+   ═══════════════════════════════════════════════════════ */
+
+const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
+// Prefer results around the Lake District (west, north, east, south) without excluding elsewhere
+const LAKE_DISTRICT_VIEWBOX = '-3.6,54.75,-2.6,54.15';
+
+/**
+ * Great-circle distance between two points in meters
+ */
+export function haversine(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Initial compass bearing in degrees (0–360) from one point to another
+ */
+export function bearing(lat1, lon1, lat2, lon2) {
+    const lat1Rad = lat1 * Math.PI / 180;
+    const lat2Rad = lat2 * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) - Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * The [lat, lon] reached by going a distance in meters on a compass bearing
+ * (flat-earth approximation — fine for walk-sized distances)
+ */
+export function destinationPoint(lat, lon, bearingDeg, meters) {
+    const rad = bearingDeg * Math.PI / 180;
+    const dLat = (meters * Math.cos(rad)) / 111320;
+    const dLon = (meters * Math.sin(rad)) / (111320 * Math.cos(lat * Math.PI / 180));
+    return [lat + dLat, lon + dLon];
+}
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon (holes excluded)
+ */
+export function pointInPolygon(lat, lon, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outer, ...holes]) => inRing(lat, lon, outer) && !holes.some(hole => inRing(lat, lon, hole)));
+}
+
+/**
+ * Ray-casting test against one ring of [lon, lat] positions
+ */
+function inRing(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [lonI, latI] = ring[i];
+        const [lonJ, latJ] = ring[j];
+        if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Length in meters of a [lat, lon(, ele)] path
+ */
+export function pathLength(waypoints) {
+    let distance = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+        distance += haversine(waypoints[i - 1][0], waypoints[i - 1][1], waypoints[i][0], waypoints[i][1]);
+    }
+    return distance;
+}
+
+/**
+ * The browser's current position as { lat, lon }, with a readable error on failure
+ */
+export function currentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Location is not available in this browser.'));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            pos => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude }),
+            err => reject(new Error(err.code === err.PERMISSION_DENIED
+                ? 'Location permission was denied.'
+                : 'Could not get your location.')),
+            { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+        );
+    });
+}
+
+/**
+ * Geocode a place name with Nominatim (biased to the Lake District).
+ * Returns { lat, lon, label }; throws if nothing matches.
+ */
+export async function geocodePlace(query) {
+    const params = new URLSearchParams({
+        q: query,
+        format: 'json',
+        limit: '1',
+        countrycodes: 'gb',
+        viewbox: LAKE_DISTRICT_VIEWBOX
+    });
+    const res = await fetch(`${NOMINATIM_ENDPOINT}?${params}`);
+    if (!res.ok) throw new Error(`Place search failed (${res.status})`);
+
+    const [place] = await res.json();
+    if (!place) throw new Error(`No place found for "${query}"`);
+    return {
+        lat: parseFloat(place.lat),
+        lon: parseFloat(place.lon),
+        label: place.display_name.split(',')[0]
+    };
+}
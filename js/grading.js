@@ -0,0 +1,141 @@
+/* ═══════════════════════════════════════════════════════
+   Grading — Objective difficulty score for a walk
+   ═══════════════════════════════════════════════════════ */
+
+import { computeElevationStats, buildElevationSeries, hasElevationData } from './map-utils.js';
+import { haversine } from './geo.js';
+import { parseDistance, parseElevation } from './route-service.js';
+
+// Score thresholds: below EASY_MAX is Easy, below MODERATE_MAX is Moderate
+const EASY_MAX = 25;
+const MODERATE_MAX = 50;
+
+// Gradient is "sustained" when held over this horizontal distance
+const SUSTAINED_WINDOW_M = 200;
+
+// Terrain keywords found in terrain/description text and the points they add
+const TERRAIN_KEYWORDS = [
+    { pattern: /scrambl/i, points: 15, label: 'scrambling' },
+    { pattern: /scree/i, points: 8, label: 'scree' },
+    { pattern: /\bridge|striding edge|arête/i, points: 6, label: 'exposed ridge' },
+    { pattern: /rocky|boulder/i, points: 5, label: 'rocky ground' },
+    { pattern: /steep/i, points: 5, label: 'steep ground' },
+    { pattern: /mountain|plateau/i, points: 5, label: 'mountain terrain' },
+    { pattern: /bog|marsh/i, points: 3, label: 'boggy ground' },
+    { pattern: /open fell|fell path/i, points: 2, label: 'open fell' }
+];
+const TERRAIN_MAX = 20;
+
+/**
+ * Steepest gradient (%) held over SUSTAINED_WINDOW_M, from measured elevation.
+ * Returns null when the waypoints carry no elevation.
+ */
+export function maxSustainedGradient(waypoints) {
+    if (!hasElevationData(waypoints)) return null;
+    const series = buildElevationSeries(waypoints);
+
+    let max = 0;
+    let j = 0;
+    for (let i = 0; i < series.length; i++) {
+        while (j < series.length - 1 && series[j].dist - series[i].dist < SUSTAINED_WINDOW_M) j++;
+        const run = series[j].dist - series[i].dist;
+        if (run < SUSTAINED_WINDOW_M) break;
+        max = Math.max(max, Math.abs(series[j].ele - series[i].ele) / run * 100);
+    }
+    return Math.round(max);
+}
+
+/**
+ * Furthest straight-line distance (m) the route gets from its car park or finish —
+ * both are on a road, so this approximates how far the walk gets from help
+ */
+export function maxDistanceFromRoad(walk) {
+    const wps = walk.waypoints || [];
+    const endLat = walk.endLat ?? walk.lat;
+    const endLon = walk.endLon ?? walk.lon;
+    let max = 0;
+    for (const wp of wps) {
+        const d = Math.min(
+            haversine(walk.lat, walk.lon, wp[0], wp[1]),
+            haversine(endLat, endLon, wp[0], wp[1])
+        );
+        max = Math.max(max, d);
+    }
+    return max;
+}
+
+/**
+ * Grade a walk from distance, ascent, max sustained gradient, terrain and remoteness.
+ * Returns { grade, score, reasons, factors } — reasons are the biggest contributors,
+ * most significant first, e.g. ['620m ascent', '18% max gradient'].
+ */
+export function gradeWalk(walk) {
+    const distance = parseDistance(walk.distance) || 0;
+    const stats = computeElevationStats(walk.waypoints);
+    const ascent = stats ? stats.ascent : parseElevation(walk.elevation);
+    // Without measured elevation, fall back to the average climbing gradient
+    // (ascent spread over half the route)
+    const measuredGradient = maxSustainedGradient(walk.waypoints);
+    const maxGradient = measuredGradient ?? (distance > 0 ? Math.round(ascent / (distance / 2) * 100) : 0);
+    const remoteness = walk.lat != null ? maxDistanceFromRoad(walk) : 0;
+
+    const text = `${walk.terrain || ''} ${walk.desc || ''}`;
+    const terrainHits = TERRAIN_KEYWORDS.filter(k => k.pattern.test(text));
+
+    const contributions = [
+        {
+            points: Math.min(distance / 1000, 20) * 2,
+            reason: `${(distance / 1000).toFixed(1)} km`
+        },
+        {
+            points: Math.min(ascent, 1000) / 1000 * 35,
+            reason: `${Math.round(ascent)}m ascent`
+        },
+        {
+            points: Math.min(Math.max(maxGradient - 10, 0), 15),
+            reason: measuredGradient !== null ? `${maxGradient}% max gradient` : `~${maxGradient}% average climb`
+        },
+        {
+            points: Math.min(terrainHits.reduce((sum, k) => sum + k.points, 0), TERRAIN_MAX),
+            reason: terrainHits.map(k => k.label).join(', ')
+        },
+        {
+            points: Math.min(Math.max(remoteness - 2000, 0) / 300, 10),
+            reason: `${(remoteness / 1000).toFixed(1)} km from a road`
+        }
+    ];
+
+    const score = Math.round(contributions.reduce((sum, c) => sum + c.points, 0));
+    const grade = score < EASY_MAX ? 'Easy' : score < MODERATE_MAX ? 'Moderate' : 'Challenging';
+    const reasons = contributions
+        .filter(c => c.points >= 3)
+        .sort((a, b) => b.points - a.points)
+        .slice(0, 3)
+        .map(c => c.reason);
+
+    return {
+        grade,
+        score,
+        reasons,
+        factors: { distance, ascent, maxGradient, gradientMeasured: measuredGradient !== null, terrain: terrainHits.map(k => k.label), remoteness }
+    };
+}
+
+/**
+ * Human-readable grading summary, e.g. 'Graded Moderate because: 620m ascent, 18% max gradient'
+ */
+export function gradeSummary(result) {
+    return result.reasons.length
+        ? `Graded ${result.grade} because: ${result.reasons.join(', ')}`
+        : `Graded ${result.grade}`;
+}
+
+/**
+ * Walks whose stated difficulty disagrees with the computed grade
+ * Returns [{ walk, stated, computed }]
+ */
+export function findGradeMismatches(walks) {
+    return walks
+        .map(walk => ({ walk, stated: walk.difficulty, computed: gradeWalk(walk) }))
+        .filter(m => m.stated && m.stated !== m.computed.grade);
+}
@@ -0,0 +1,64 @@
+/* ═══════════════════════════════════════════════════════
+   History — Undo/redo stack of labelled state changes
+   ═══════════════════════════════════════════════════════ */
+
+/**
+ * Create an undo/redo history. Each command is { label, before, after };
+ * undo applies `before`, redo applies `after` via the supplied apply function.
+ */
+export function createHistory(apply, { limit = 100, onChange = () => {} } = {}) {
+    const done = [];
+    const undone = [];
+
+    return {
+        /** Record a change that has already been made */
+        push(command) {
+            done.push(command);
+            if (done.length > limit) done.shift();
+            undone.length = 0;
+            onChange();
+        },
+
+        /** Replace the latest command's end state (e.g. once an async re-route lands) */
+        amend(command, after) {
+            if (done[done.length - 1] !== command) return false;
+            command.after = after;
+            return true;
+        },
+
+        /** The command an undo would revert */
+        current() {
+            return done[done.length - 1] || null;
+        },
+
+        undo() {
+            const command = done.pop();
+            if (!command) return null;
+            undone.push(command);
+            apply(command.before);
+            onChange();
+            return command;
+        },
+
+        redo() {
+            const command = undone.pop();
+            if (!command) return null;
+            done.push(command);
+            apply(command.after);
+            onChange();
+            return command;
+        },
+
+        /** Forget everything (e.g. when a different walk is loaded) */
+        clear() {
+            done.length = 0;
+            undone.length = 0;
+            onChange();
+        },
+
+        canUndo: () => done.length > 0,
+        canRedo: () => undone.length > 0,
+        undoLabel: () => done[done.length - 1]?.label || '',
+        redoLabel: () => undone[undone.length - 1]?.label || ''
+    };
+}
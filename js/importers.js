@@ -0,0 +1,406 @@
+/* ═══════════════════════════════════════════════════════
+   Importers — GPX, KML, GeoJSON and TCX route files
+   ═══════════════════════════════════════════════════════ */
+
+import { computeElevationStats, nearestWaypointIndex } from './map-utils.js';
+import { haversine, pathLength } from './geo.js';
+import { formatDistance, formatDuration } from './route-service.js';
+import { estimateTime } from './time-estimate.js';
+import { gradeWalk } from './grading.js';
+
+// Start/end closer than this makes a walk circular
+const CIRCULAR_THRESHOLD_M = 200;
+
+// Named points further than this from the chosen track are not turned into directions
+const DIRECTION_MAX_OFFSET_M = 300;
+
+// A car park marker further than this from the track start belongs to another walk
+const PARKING_MAX_OFFSET_M = 1000;
+
+/**
+ * Parse a route file into track candidates and named points.
+ * Returns { fileName, format, tracks: [{ name, desc, time, waypoints, combined }], points: [{ name, desc, lat, lon, ele, kind }] }
+ * where kind is 'parking', 'destination' or null for ordinary named points, and
+ * combined marks a whole multi-segment track that is also offered segment by segment
+ */
+export async function parseRouteFile(file) {
+    const text = await file.text();
+    const ext = file.name.split('.').pop().toLowerCase();
+
+    let parsed;
+    if (ext === 'gpx') parsed = parseGPX(text);
+    else if (ext === 'kml') parsed = parseKML(text);
+    else if (ext === 'tcx') parsed = parseTCX(text);
+    else if (ext === 'geojson' || ext === 'json') parsed = parseGeoJSON(text);
+    else throw new Error(`Unsupported file type: .${ext}`);
+
+    // Fall back to the file name for unnamed tracks
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    parsed.tracks = parsed.tracks
+        .filter(t => t.waypoints.length >= 2)
+        .map((t, i, all) => ({ ...t, name: t.name || (all.length > 1 ? `${baseName} ${i + 1}` : baseName) }));
+
+    if (parsed.tracks.length === 0) throw new Error('File contains no track or route with at least 2 points.');
+
+    return { fileName: file.name, format: ext === 'json' ? 'geojson' : ext, ...parsed };
+}
+
+/* ── XML helpers ─────────────────────────────────────── */
+
+function parseXML(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('File is not valid XML.');
+    return doc;
+}
+
+// Namespace-agnostic descendant lookup (GPX/KML/TCX all use default namespaces)
+function els(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+// Text of a direct child element, so <trk><name> isn't confused with <trkpt><name>
+function childText(parent, name) {
+    const el = Array.from(parent.children).find(c => c.localName === name);
+    return el ? el.textContent.trim() : '';
+}
+
+function toNumber(text) {
+    const n = parseFloat(text);
+    return Number.isFinite(n) ? n : null;
+}
+
+function point(lat, lon, ele) {
+    return Number.isFinite(ele) ? [lat, lon, ele] : [lat, lon];
+}
+
+// Points whose lat/lon didn't parse would reach distance sums and the map as NaN
+function hasCoordinates(p) {
+    return Number.isFinite(p[0]) && Number.isFinite(p[1]);
+}
+
+/* ── GPX ─────────────────────────────────────────────── */
+
+function gpxPoints(parent, tag) {
+    return els(parent, tag).map(pt => point(
+        parseFloat(pt.getAttribute('lat')),
+        parseFloat(pt.getAttribute('lon')),
+        toNumber(childText(pt, 'ele'))
+    )).filter(hasCoordinates);
+}
+
+function gpxTime(parent, tag) {
+    const first = els(parent, tag)[0];
+    return first ? childText(first, 'time') || null : null;
+}
+
+function gpxPointKind(wpt) {
+    const sym = childText(wpt, 'sym');
+    const type = childText(wpt, 'type');
+    if (sym === 'Parking Area' || type === 'Parking') return 'parking';
+    if (type === 'Destination') return 'destination';
+    return null;
+}
+
+/**
+ * GPX: each track is a candidate; tracks with several segments also offer
+ * each segment on its own (the whole track is then marked `combined`, so
+ * importing every candidate doesn't add it twice). Routes (<rte>) are candidates too.
+ */
+function parseGPX(text) {
+    const doc = parseXML(text);
+    const metadata = els(doc, 'metadata')[0];
+    const metaTime = metadata ? childText(metadata, 'time') || null : null;
+    const tracks = [];
+
+    els(doc, 'trk').forEach(trk => {
+        const name = childText(trk, 'name');
+        const desc = childText(trk, 'desc') || childText(trk, 'cmt');
+        const segs = els(trk, 'trkseg');
+        const time = gpxTime(trk, 'trkpt') || metaTime;
+
+        if (segs.length > 1) {
+            tracks.push({ name: name && `${name} (all ${segs.length} segments)`, desc, time, waypoints: gpxPoints(trk, 'trkpt'), combined: true });
+            segs.forEach((seg, i) => {
+                tracks.push({ name: name && `${name} — segment ${i + 1}`, desc, time: gpxTime(seg, 'trkpt') || time, waypoints: gpxPoints(seg, 'trkpt') });
+            });
+        } else {
+            tracks.push({ name, desc, time, waypoints: gpxPoints(trk, 'trkpt') });
+        }
+    });
+
+    els(doc, 'rte').forEach(rte => {
+        tracks.push({
+            name: childText(rte, 'name'),
+            desc: childText(rte, 'desc') || childText(rte, 'cmt'),
+            time: gpxTime(rte, 'rtept') || metaTime,
+            waypoints: gpxPoints(rte, 'rtept')
+        });
+    });
+
+    const points = els(doc, 'wpt')
+        .map(wpt => ({
+            name: childText(wpt, 'name'),
+            desc: childText(wpt, 'desc') || childText(wpt, 'cmt'),
+            lat: parseFloat(wpt.getAttribute('lat')),
+            lon: parseFloat(wpt.getAttribute('lon')),
+            ele: toNumber(childText(wpt, 'ele')),
+            kind: gpxPointKind(wpt)
+        }))
+        .filter(p => p.name && hasCoordinates([p.lat, p.lon]));
+
+    return { tracks, points };
+}
+
+/* ── KML ─────────────────────────────────────────────── */
+
+function kmlCoordinates(text) {
+    return text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+        const [lon, lat, alt] = tuple.split(',').map(Number);
+        return point(lat, lon, alt);
+    });
+}
+
+/**
+ * KML: LineStrings (including inside MultiGeometry) and gx:Tracks become
+ * candidates; Point placemarks become named points
+ */
+function parseKML(text) {
+    const doc = parseXML(text);
+    const tracks = [];
+    const points = [];
+
+    els(doc, 'Placemark').forEach(pm => {
+        const name = childText(pm, 'name');
+        const desc = childText(pm, 'description');
+        const time = els(pm, 'when')[0]?.textContent.trim() || null;
+
+        els(pm, 'LineString').forEach((ls, i, all) => {
+            const coords = els(ls, 'coordinates')[0];
+            if (!coords) return;
+            tracks.push({ name: name && all.length > 1 ? `${name} ${i + 1}` : name, desc, time, waypoints: kmlCoordinates(coords.textContent) });
+        });
+
+        els(pm, 'Track').forEach(trk => {
+            const waypoints = els(trk, 'coord').map(c => {
+                const [lon, lat, alt] = c.textContent.trim().split(/\s+/).map(Number);
+                return point(lat, lon, alt);
+            });
+            tracks.push({ name, desc, time, waypoints });
+        });
+
+        const pt = els(pm, 'Point')[0];
+        if (pt && name) {
+            const [coord] = kmlCoordinates(els(pt, 'coordinates')[0]?.textContent || '');
+            const style = childText(pm, 'styleUrl');
+            const kind = style === '#carpark' ? 'parking' : style === '#destination' ? 'destination' : null;
+            if (coord) points.push({ name, desc, lat: coord[0], lon: coord[1], ele: coord[2] ?? null, kind });
+        }
+    });
+
+    return { tracks, points };
+}
+
+/* ── TCX ─────────────────────────────────────────────── */
+
+function tcxTrackpoints(parent) {
+    return els(parent, 'Trackpoint')
+        .map(tp => {
+            const lat = toNumber(els(tp, 'LatitudeDegrees')[0]?.textContent);
+            const lon = toNumber(els(tp, 'LongitudeDegrees')[0]?.textContent);
+            if (lat === null || lon === null) return null;
+            return point(lat, lon, toNumber(els(tp, 'AltitudeMeters')[0]?.textContent));
+        })
+        .filter(Boolean);
+}
+
+/**
+ * TCX: each course or activity is a candidate; course points become named points
+ */
+function parseTCX(text) {
+    const doc = parseXML(text);
+    const tracks = [];
+
+    els(doc, 'Course').forEach(course => {
+        tracks.push({
+            name: childText(course, 'Name'),
+            desc: childText(course, 'Notes'),
+            time: els(course, 'Time')[0]?.textContent.trim() || null,
+            waypoints: tcxTrackpoints(course)
+        });
+    });
+
+    els(doc, 'Activity').forEach(activity => {
+        tracks.push({
+            name: childText(activity, 'Id') && `${activity.getAttribute('Sport') || 'Activity'} ${childText(activity, 'Id')}`,
+            desc: childText(activity, 'Notes'),
+            time: childText(activity, 'Id') || null,
+            waypoints: tcxTrackpoints(activity)
+        });
+    });
+
+    const points = els(doc, 'CoursePoint').map(cp => ({
+        name: childText(cp, 'Name'),
+        desc: childText(cp, 'Notes'),
+        lat: toNumber(els(cp, 'LatitudeDegrees')[0]?.textContent),
+        lon: toNumber(els(cp, 'LongitudeDegrees')[0]?.textContent),
+        ele: toNumber(els(cp, 'AltitudeMeters')[0]?.textContent),
+        kind: null
+    })).filter(p => p.name && p.lat !== null && p.lon !== null);
+
+    return { tracks, points };
+}
+
+/* ── GeoJSON ─────────────────────────────────────────── */
+
+/**
+ * GeoJSON: LineStrings and each line of a MultiLineString become candidates;
+ * named Points become named points (our own exports carry step/instruction)
+ */
+function parseGeoJSON(text) {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch {
+        throw new Error('File is not valid JSON.');
+    }
+    if (!data || typeof data !== 'object' || (data.type === 'FeatureCollection' && !Array.isArray(data.features))) {
+        throw new Error('File is not a GeoJSON route.');
+    }
+
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+        : [{ type: 'Feature', geometry: data, properties: {} }];
+
+    const tracks = [];
+    const points = [];
+    const toPoint = c => point(toNumber(c?.[1]), toNumber(c?.[0]), toNumber(c?.[2]));
+    const toLine = line => (Array.isArray(line) ? line.map(toPoint).filter(hasCoordinates) : []);
+
+    features.forEach(f => {
+        const g = f?.geometry;
+        const props = f?.properties || {};
+        if (!g || !Array.isArray(g.coordinates)) return;
+        // Only trust ISO timestamps — our own exports use time for the walking time
+        const time = props.recordedAt || (/^\d{4}-\d{2}-\d{2}/.test(props.time) ? props.time : null);
+
+        if (g.type === 'LineString') {
+            tracks.push({ name: props.name || '', desc: props.desc || props.description || '', time, waypoints: toLine(g.coordinates) });
+        } else if (g.type === 'MultiLineString') {
+            g.coordinates.forEach((line, i) => {
+                tracks.push({ name: props.name ? `${props.name} ${i + 1}` : '', desc: props.desc || props.description || '', time, waypoints: toLine(line) });
+            });
+        } else if (g.type === 'Point' && props.name) {
+            const [lat, lon, ele] = toPoint(g.coordinates);
+            if (!hasCoordinates([lat, lon])) return;
+            points.push({
+                name: props.name,
+                desc: props.instruction || props.parkingDetail || props.desc || props.description || '',
+                lat,
+                lon,
+                ele: ele ?? null,
+                kind: props.role === 'carpark' ? 'parking' : props.role === 'destination' ? 'destination' : null
+            });
+        }
+    });
+
+    return { tracks, points };
+}
+
+/* ── Normalisation ───────────────────────────────────── */
+
+/**
+ * Turn named points lying on the track into ordered direction steps
+ */
+function pointsToDirections(waypoints, points) {
+    return points
+        .filter(p => !p.kind)
+        .map(p => {
+            const idx = nearestWaypointIndex(waypoints, { lat: p.lat, lng: p.lon });
+            const offset = haversine(p.lat, p.lon, waypoints[idx][0], waypoints[idx][1]);
+            return { p, idx, offset };
+        })
+        .filter(d => d.offset <= DIRECTION_MAX_OFFSET_M)
+        .sort((a, b) => a.idx - b.idx)
+        .map(({ p }, i) => ({
+            step: i + 1,
+            instruction: p.desc || p.name,
+            landmark: p.name,
+            lat: p.lat,
+            lon: p.lon
+        }));
+}
+
+/**
+ * Build a walk from a parsed track and the file's named points
+ */
+export function trackToWalk(track, points = [], format = 'gpx') {
+    const { waypoints } = track;
+    const first = waypoints[0];
+    const last = waypoints[waypoints.length - 1];
+    const isCircular = haversine(first[0], first[1], last[0], last[1]) < CIRCULAR_THRESHOLD_M;
+
+    // A car park marker near the start becomes the walk's start point
+    const parking = points
+        .filter(p => p.kind === 'parking')
+        .map(p => ({ p, offset: haversine(p.lat, p.lon, first[0], first[1]) }))
+        .filter(c => c.offset <= PARKING_MAX_OFFSET_M)
+        .sort((a, b) => a.offset - b.offset)[0]?.p;
+    const lat = parking ? parking.lat : first[0];
+    const lon = parking ? parking.lon : first[1];
+
+    return normaliseWalk({
+        name: track.name,
+        desc: track.desc || `Imported from ${format.toUpperCase()}: ${track.name}`,
+        start: parking?.name,
+        parkingDetail: parking?.desc,
+        lat,
+        lon,
+        waypoints,
+        endLat: isCircular ? lat : last[0],
+        endLon: isCircular ? lon : last[1],
+        directions: pointsToDirections(waypoints, points),
+        recordedAt: track.time || undefined
+    });
+}
+
+/**
+ * Normalise a walk before it enters the library: fill schema defaults and
+ * derive distance, elevation, book time and difficulty when they're missing
+ */
+export function normaliseWalk(walk) {
+    const wps = walk.waypoints || [];
+
+    const distance = pathLength(wps);
+    const eleStats = computeElevationStats(wps);
+
+    const normalised = {
+        name: walk.name || 'Unnamed Walk',
+        distance: walk.distance || (distance ? formatDistance(distance) : ''),
+        time: walk.time || (distance ? formatDuration(estimateTime({
+            distance,
+            ascent: eleStats?.ascent || 0,
+            descent: eleStats?.descent || 0
+        }).book) : ''),
+        difficulty: walk.difficulty,
+        desc: walk.desc || '',
+        start: walk.start || 'Car Park',
+        lat: walk.lat ?? wps[0]?.[0],
+        lon: walk.lon ?? wps[0]?.[1],
+        elevation: walk.elevation || (eleStats ? `${eleStats.ascent}m` : 'N/A'),
+        terrain: walk.terrain || '',
+        routeUrl: walk.routeUrl || '',
+        walkType: walk.walkType || 'summit',
+        waypoints: wps,
+        endLat: walk.endLat ?? walk.lat ?? wps[0]?.[0],
+        endLon: walk.endLon ?? walk.lon ?? wps[0]?.[1],
+        directions: walk.directions || [],
+        parkingDetail: walk.parkingDetail || '',
+        thePayoff: walk.thePayoff || ''
+    };
+
+    // Keep any extra fields the source walk carried (e.g. recordedAt)
+    const walkOut = { ...walk, ...normalised };
+    Object.keys(walkOut).forEach(k => walkOut[k] === undefined && delete walkOut[k]);
+    if (!walkOut.difficulty) walkOut.difficulty = gradeWalk(walkOut).grade;
+    return walkOut;
+}
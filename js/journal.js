@@ -0,0 +1,198 @@
+/* ═══════════════════════════════════════════════════════
+   Journal — Favourites and walk history, stored apart from the library
+   ═══════════════════════════════════════════════════════ */
+
+import { readJournal, writeJournal } from './walk-db.js';
+import { parseDistance, parseElevation } from './route-service.js';
+
+// walkId → { walkId, favourite, completions: [entry], walk: summary }
+let records = new Map();
+
+/**
+ * Load the journal from storage
+ */
+export async function loadJournal() {
+    records = new Map((await readJournal()).map(r => [r.walkId, r]));
+}
+
+/**
+ * The fields stats need, copied into each record so entries still count after
+ * their walk is deleted or the library is reset
+ */
+function summarise(walk) {
+    return {
+        name: walk.name,
+        distance: walk.distance,
+        elevation: walk.elevation,
+        walkType: walk.walkType || null
+    };
+}
+
+/**
+ * Replace one walk's record (dropping it when it no longer holds anything) and save.
+ * On failure the old record is put back and the error rethrown.
+ */
+async function saveRecord(walkId, record) {
+    const previous = records.get(walkId);
+    const empty = !record.favourite && record.completions.length === 0;
+    if (empty) records.delete(walkId);
+    else records.set(walkId, record);
+
+    try {
+        await writeJournal(empty ? [] : [record], empty ? [walkId] : []);
+    } catch (err) {
+        if (previous) records.set(walkId, previous);
+        else records.delete(walkId);
+        throw err;
+    }
+}
+
+function recordFor(walk) {
+    const record = records.get(walk.id);
+    return {
+        walkId: walk.id,
+        favourite: record?.favourite || false,
+        completions: record?.completions || [],
+        walk: summarise(walk)
+    };
+}
+
+export function isFavourite(walkId) {
+    return records.get(walkId)?.favourite || false;
+}
+
+/**
+ * A walk's "I walked this" entries, newest first:
+ * [{ id, date: 'YYYY-MM-DD', companions, conditions, minutes, notes, km, ascent }]
+ * km and ascent are the walk's as it was when logged (absent on older entries)
+ */
+export function getCompletions(walkId) {
+    return records.get(walkId)?.completions || [];
+}
+
+/**
+ * Every journal record (for stats and backups)
+ */
+export function getJournal() {
+    return [...records.values()];
+}
+
+/**
+ * Star or un-star a walk. Resolves to the new state.
+ */
+export async function toggleFavourite(walk) {
+    const record = recordFor(walk);
+    record.favourite = !record.favourite;
+    await saveRecord(walk.id, record);
+    return record.favourite;
+}
+
+/**
+ * Log a walk: { date, companions, conditions, minutes (actual duration, or null), notes }.
+ * The walk's distance and ascent are kept with the entry, so editing the walk
+ * later doesn't change past totals. Resolves to the stored entry.
+ */
+export async function addCompletion(walk, entry) {
+    const record = recordFor(walk);
+    const stored = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        date: entry.date,
+        companions: entry.companions || '',
+        conditions: entry.conditions || '',
+        minutes: entry.minutes || null,
+        notes: entry.notes || '',
+        km: parseDistance(walk.distance) / 1000,
+        ascent: parseElevation(walk.elevation)
+    };
+    record.completions = [stored, ...record.completions].sort((a, b) => b.date.localeCompare(a.date));
+    await saveRecord(walk.id, record);
+    return stored;
+}
+
+/**
+ * Remove one entry from a walk's journal
+ */
+export async function deleteCompletion(walkId, entryId) {
+    const record = records.get(walkId);
+    if (!record) return;
+    await saveRecord(walkId, { ...record, completions: record.completions.filter(c => c.id !== entryId) });
+}
+
+/**
+ * Merge journal records from a backup: favourites are kept if either side has
+ * them, entries are combined by ID. Resolves to the number of entries added.
+ */
+export async function importJournal(imported) {
+    const put = [];
+    let added = 0;
+    const merged = new Map(records);
+
+    (Array.isArray(imported) ? imported : []).forEach(r => {
+        if (!r?.walkId) return;
+        const current = merged.get(r.walkId);
+        const known = new Set((current?.completions || []).map(c => c.id));
+        const fresh = (r.completions || []).filter(c => c.id && c.date && !known.has(c.id));
+        const record = {
+            walkId: r.walkId,
+            favourite: Boolean(current?.favourite || r.favourite),
+            completions: [...(current?.completions || []), ...fresh].sort((a, b) => b.date.localeCompare(a.date)),
+            walk: current?.walk || r.walk || { name: r.walkId }
+        };
+        if (!record.favourite && record.completions.length === 0) return;
+        added += fresh.length;
+        merged.set(r.walkId, record);
+        put.push(record);
+    });
+
+    await writeJournal(put);
+    records = merged;
+    return added;
+}
+
+/**
+ * Totals across every entry, by year and by walk type. Distance and ascent are
+ * the ones saved with each entry; older entries without them use the library's
+ * current walk, or the summary saved with the record.
+ */
+export function journalStats(walks) {
+    const byId = new Map(walks.map(w => [w.id, w]));
+    const total = { walks: 0, distinct: 0, km: 0, ascent: 0, minutes: 0, favourites: 0 };
+    const years = {};
+    const types = {};
+
+    records.forEach(record => {
+        if (record.favourite) total.favourites++;
+        if (record.completions.length === 0) return;
+
+        const walk = byId.get(record.walkId) || record.walk;
+        const km = parseDistance(walk.distance) / 1000;
+        const ascent = parseElevation(walk.elevation);
+        const type = walk.walkType || 'other';
+        total.distinct++;
+        types[type] = types[type] || { walks: 0, ids: new Set() };
+        types[type].ids.add(record.walkId);
+
+        record.completions.forEach(c => {
+            const year = c.date.slice(0, 4);
+            years[year] = years[year] || { walks: 0, km: 0, ascent: 0, minutes: 0 };
+            [total, years[year]].forEach(t => {
+                t.walks++;
+                t.km += c.km ?? km;
+                t.ascent += c.ascent ?? ascent;
+                t.minutes += c.minutes || 0;
+            });
+            types[type].walks++;
+        });
+    });
+
+    return {
+        total,
+        years: Object.entries(years).sort(([a], [b]) => b.localeCompare(a)).map(([year, t]) => ({ year, ...t })),
+        types: Object.entries(types).map(([type, t]) => ({
+            type,
+            walks: t.walks,
+            distinct: t.ids.size,
+            inLibrary: walks.filter(w => (w.walkType || 'other') === type).length
+        })).sort((a, b) => b.walks - a.walks)
+    };
+}
@@ -0,0 +1,219 @@
+/* ═══════════════════════════════════════════════════════
+   Library Map — Clustered overview of every walk's car park
+   ═══════════════════════════════════════════════════════ */
+
+import { createMap, difficultyColor, walkTypeIcon, drawRoute, fitToWaypoints } from './map-utils.js';
+
+let map = null;
+let clusters = null;
+let preview = null;
+let shownWalks = [];
+let onSelect = () => {};
+let originLayer = null;
+let reachLayer = null;
+let shownReach = null;
+let pendingPick = null;     // { resolve, onClick, onKey } while waiting for a point
+
+/**
+ * Create the overview map on first use (later calls just resize it).
+ * onSelect(id) fires when a marker is clicked; onMove() after the map pans or zooms.
+ */
+export function initLibraryMap(containerId, handlers) {
+    if (map) {
+        resizeLibraryMap();
+        return;
+    }
+    onSelect = handlers.onSelect;
+
+    map = createMap(containerId);
+    // Clustering comes from the Leaflet.markercluster CDN script — plain markers without it
+    clusters = L.markerClusterGroup
+        ? L.markerClusterGroup({ maxClusterRadius: 45, showCoverageOnHover: false, iconCreateFunction: clusterIcon })
+        : L.layerGroup();
+    clusters.addTo(map);
+    map.on('moveend', handlers.onMove);
+}
+
+/**
+ * Re-measure the map container (it may have changed size while hidden)
+ */
+export function resizeLibraryMap() {
+    if (map) map.invalidateSize();
+}
+
+/**
+ * Show these walks' car parks. The map is fitted to them the first time.
+ */
+export function setLibraryMapWalks(walks) {
+    if (!map) return;
+    // Panning re-filters the library; skip the rebuild when the walks haven't changed
+    if (walks.length === shownWalks.length && walks.every((w, i) => w === shownWalks[i])) return;
+    const first = shownWalks.length === 0;
+    shownWalks = walks;
+
+    clearPreview();
+    clusters.clearLayers();
+    const markers = walks.filter(w => w.lat && w.lon).map(walkMarker);
+    if (clusters.addLayers) clusters.addLayers(markers);
+    else markers.forEach(m => clusters.addLayer(m));
+
+    if (first && markers.length) fitToWaypoints(map, markers.map(m => m.getLatLng()), [30, 30]);
+}
+
+/**
+ * Mark the reference point for "near" sorting, with the radius filter as a circle
+ * (origin null clears it)
+ */
+export function setLibraryMapOrigin(origin, radiusKm) {
+    if (!map) return;
+    if (originLayer) map.removeLayer(originLayer);
+    originLayer = null;
+    if (!origin) return;
+
+    originLayer = L.layerGroup([
+        L.marker([origin.lat, origin.lon], {
+            icon: L.divIcon({
+                html: '<div class="library-map-origin">🚗</div>',
+                iconSize: [28, 28],
+                iconAnchor: [14, 14],
+                className: ''
+            }),
+            interactive: false
+        })
+    ]);
+    if (radiusKm) {
+        originLayer.addLayer(L.circle([origin.lat, origin.lon], {
+            radius: radiusKm * 1000,
+            color: '#4ecdc4',
+            weight: 1.5,
+            fillOpacity: 0.06,
+            interactive: false
+        }));
+    }
+    originLayer.addTo(map);
+}
+
+/**
+ * Shade the areas reachable on foot from the reference point, outlining the one
+ * the library is filtered to (areas null clears them)
+ */
+export function setLibraryMapReach(areas, chosenHours) {
+    if (!map) return;
+    // Panning re-filters the library; only redraw when the areas or choice changed
+    if (shownReach && shownReach.areas === areas && shownReach.hours === chosenHours) return;
+    shownReach = areas ? { areas, hours: chosenHours } : null;
+    if (reachLayer) map.removeLayer(reachLayer);
+    reachLayer = null;
+    if (!areas) return;
+
+    // Largest first, so the smaller areas shade on top of it
+    reachLayer = L.layerGroup([...areas].reverse().map(area => L.geoJSON(area.geometry, {
+        style: {
+            color: '#a78bfa',
+            weight: area.hours === chosenHours ? 2.5 : 1,
+            dashArray: area.hours === chosenHours ? null : '4 4',
+            fillOpacity: 0.08
+        },
+        interactive: false
+    })));
+    reachLayer.addTo(map);
+}
+
+/**
+ * Resolve with { lat, lon } of the next click on the map, or null if the pick is
+ * cancelled (Escape, a walk marker clicked, the map closed or a new pick started)
+ */
+export function pickLibraryMapPoint() {
+    cancelLibraryMapPick();
+    return new Promise(resolve => {
+        const onClick = e => endPick({ lat: e.latlng.lat, lon: e.latlng.lng });
+        const onKey = e => { if (e.key === 'Escape') endPick(null); };
+        pendingPick = { resolve, onClick, onKey };
+        map.getContainer().classList.add('picking');
+        map.on('click', onClick);
+        document.addEventListener('keydown', onKey);
+    });
+}
+
+/**
+ * Stop waiting for a picked point (its promise resolves null)
+ */
+export function cancelLibraryMapPick() {
+    endPick(null);
+}
+
+function endPick(point) {
+    if (!pendingPick) return;
+    const { resolve, onClick, onKey } = pendingPick;
+    pendingPick = null;
+    map.getContainer().classList.remove('picking');
+    map.off('click', onClick);
+    document.removeEventListener('keydown', onKey);
+    resolve(point);
+}
+
+/**
+ * The walks whose car park is in the current map view
+ */
+export function walksInView(walks) {
+    if (!map) return walks;
+    const bounds = map.getBounds();
+    return walks.filter(w => w.lat && w.lon && bounds.contains([w.lat, w.lon]));
+}
+
+function walkMarker(walk) {
+    const marker = L.marker([walk.lat, walk.lon], {
+        icon: L.divIcon({
+            html: `<div class="library-map-pin" style="background:${difficultyColor(walk.difficulty)}">${walkTypeIcon(walk.walkType)}</div>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13],
+            className: ''
+        }),
+        difficulty: walk.difficulty
+    });
+
+    marker.bindTooltip(`<strong>${walk.name}</strong><br>${walk.distance} · ${walk.difficulty}`, { direction: 'top', offset: [0, -12] });
+    marker.on('mouseover', () => showPreview(walk));
+    marker.on('mouseout', clearPreview);
+    marker.on('click', () => {
+        cancelLibraryMapPick();
+        onSelect(walk.id);
+    });
+    return marker;
+}
+
+/**
+ * Cluster bubble: walk count on a ring split by difficulty
+ */
+function clusterIcon(cluster) {
+    const children = cluster.getAllChildMarkers();
+    const counts = {};
+    children.forEach(m => { counts[m.options.difficulty] = (counts[m.options.difficulty] || 0) + 1; });
+
+    let angle = 0;
+    const stops = Object.entries(counts).map(([difficulty, n]) => {
+        const start = angle;
+        angle += (n / children.length) * 360;
+        return `${difficultyColor(difficulty)} ${start}deg ${angle}deg`;
+    });
+
+    const size = children.length < 10 ? 34 : 42;
+    return L.divIcon({
+        html: `<div class="library-map-cluster" style="background:conic-gradient(${stops.join(', ')})"><span>${children.length}</span></div>`,
+        iconSize: [size, size],
+        className: ''
+    });
+}
+
+function showPreview(walk) {
+    clearPreview();
+    if (!walk.waypoints || walk.waypoints.length < 2) return;
+    preview = drawRoute(map, walk.waypoints, difficultyColor(walk.difficulty));
+}
+
+function clearPreview() {
+    if (!preview) return;
+    map.removeLayer(preview.line);
+    map.removeLayer(preview.glow);
+    preview = null;
+}
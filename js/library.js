@@ -2,52 +2,129 @@
    Walk Library — Grid + Detail View
    ═══════════════════════════════════════════════════════ */
 
-import { createMap, difficultyColor, walkTypeIcon, parkingMarker, destMarker, drawRoute, fitToWaypoints, downloadGPX, renderElevationProfile } from './map-utils.js';
+import { formatDuration, parseDistance, parseDuration, parseElevation, fetchIsochrones, getRoutingEngine, REACH_HOURS } from './route-service.js';
+import { estimateWalkTime } from './time-estimate.js';
+import { gradeWalk, gradeSummary } from './grading.js';
+import { EXPORT_FORMATS, downloadWalk } from './exporters.js';
+import { printRouteCard } from './route-card.js';
+import { loadLibrary, saveLibrary, createWalkId, resolveConflict, resetLibrary } from './walk-store.js';
+import { isFavourite, toggleFavourite, getCompletions, addCompletion, deleteCompletion } from './journal.js';
+import { MAX_COMPARE, COMPARE_COLORS, getCompareSelection, toggleCompareSelection, setCompareSelection, compareRoute } from './compare.js';
+import { searchWalks } from './walk-search.js';
+import { navigate, goBack, currentRoute, updateQuery } from './router.js';
+import { initLibraryMap, setLibraryMapWalks, setLibraryMapOrigin, setLibraryMapReach, pickLibraryMapPoint, cancelLibraryMapPick, walksInView, resizeLibraryMap } from './library-map.js';
+import { haversine, pointInPolygon, currentPosition, geocodePlace } from './geo.js';
+import { createMap, difficultyColor, walkTypeIcon, parkingMarker, destMarker, drawRoute, fitToWaypoints, renderElevationProfile, nearestWaypointIndex } from './map-utils.js';
 
 let walks = [];
 let filteredWalks = [];
 let detailMap = null;
-let activeFilters = { difficulty: 'all', type: 'all' };
+let openId = null;
+let positionMarker = null;
+let sectionLayer = null;
 
-const WALKS_VERSION = '6.0'; // GPX-derived coordinates + minimal attribution
+const FILTERS_KEY = 'trail_mapper_library_filters';
+const DEFAULT_FILTERS = {
+    query: '',
+    difficulty: 'all',
+    type: 'all',
+    sort: 'default',
+    distance: [null, null], // [min, max], null = no limit
+    duration: [null, null],
+    ascent: [null, null],
+    near: null, // reference point { lat, lon, label, source: 'location' | 'place' | 'map' | 'link' }
+    radius: null, // km from `near`
+    reach: null, // hours on foot from `near` (1, 2 or 3)
+    journal: 'all' // 'favourites' | 'walked' | 'unwalked'
+};
 
 /**
- * Get walk data (from localStorage if modified, otherwise from server)
+ * Numeric walk values for the range sliders and sorting — parsed from the
+ * free-text fields the cards show (duration is the time at the user's pace)
  */
-export async function loadWalks() {
-    // Check version to invalidate stale cache
-    const cachedVersion = localStorage.getItem('trail_mapper_walks_version');
-    if (cachedVersion !== WALKS_VERSION) {
-        localStorage.removeItem('trail_mapper_walks');
-        localStorage.setItem('trail_mapper_walks_version', WALKS_VERSION);
-    }
+const RANGES = {
+    distance: { step: 0.5, value: w => parseDistance(w.distance) / 1000, format: v => `${v} km` },
+    duration: { step: 15, value: w => walkMinutes(w), format: v => formatDuration(v * 60) },
+    ascent: { step: 50, value: w => parseElevation(w.elevation), format: v => `${v} m` }
+};
 
-    // Check for locally modified walks
-    const localWalks = localStorage.getItem('trail_mapper_walks');
-    if (localWalks) {
-        try {
-            walks = JSON.parse(localWalks);
-        } catch {
-            walks = [];
-        }
-    }
+// URL query parameters mirroring the filters, e.g. ?q=tarn&type=summit&distance=2-10
+const FILTER_PARAMS = ['q', 'difficulty', 'type', 'sort', ...Object.keys(RANGES), 'near', 'place', 'radius', 'reach', 'journal'];
 
-    if (walks.length === 0) {
-        const res = await fetch('/data/walks.json');
-        walks = await res.json();
-        saveWalksLocal();
-    }
+// Walks matching each journal pill, from the user's own history
+const JOURNAL_FILTERS = {
+    favourites: w => isFavourite(w.id),
+    walked: w => getCompletions(w.id).length > 0,
+    unwalked: w => getCompletions(w.id).length === 0
+};
+
+const SORTS = {
+    'distance-asc': (a, b) => RANGES.distance.value(a) - RANGES.distance.value(b),
+    'distance-desc': (a, b) => RANGES.distance.value(b) - RANGES.distance.value(a),
+    'time-asc': (a, b) => RANGES.duration.value(a) - RANGES.duration.value(b),
+    'time-desc': (a, b) => RANGES.duration.value(b) - RANGES.duration.value(a),
+    'ascent-asc': (a, b) => RANGES.ascent.value(a) - RANGES.ascent.value(b),
+    'ascent-desc': (a, b) => RANGES.ascent.value(b) - RANGES.ascent.value(a),
+    nearest: (a, b) => (nearKm(a) ?? Infinity) - (nearKm(b) ?? Infinity),
+    name: (a, b) => a.name.localeCompare(b.name),
+    // Walks without an added date (bundled ones) sort by library position, newest last
+    recent: (a, b) => (b.addedAt || '').localeCompare(a.addedAt || '') || walks.indexOf(b) - walks.indexOf(a)
+};
+
+let activeFilters = readFilterState();
+
+// Overview map: shown or not, and whether the grid lists only walks in its view
+const MAP_KEY = 'trail_mapper_library_map';
+let mapState = readMapState();
+
+// Walking isochrones around the reference point from the current routing engine:
+// { key, areas: [{ hours, geometry }] | null while loading, failed: [{ hours, error }]
+//   (areas the engine refused), error: message | null }
+let reachState = null;
+
+let saveQueue = Promise.resolve();  // Library saves, chained so they run one at a time
+let minutesCache = new Map();       // Walk → minutes at the user's pace, see walkMinutes
+let nearPick = 0;                   // Bumped per "pick on map" click so a replaced pick leaves the label alone
+
+/**
+ * Load the library: bundled walks merged with the user's walks and edits
+ */
+export async function loadWalks() {
+    const res = await fetch('/data/walks.json');
+    const { walks: loaded, error } = await loadLibrary(await res.json());
+    walks = loaded;
 
-    filteredWalks = [...walks];
-    renderGrid();
     setupFilters();
+    applyFilters();
+    if (error) showStorageNotice(error);
+}
+
+/**
+ * Save the library. Saves run one at a time, each writing the walks as they are
+ * when its turn comes. If one fails (e.g. storage is full) only its change is
+ * rolled back — `undo` maps the current walks to the walks without it, so changes
+ * made while it was pending are kept — and the error rethrown for the caller to report.
+ */
+function saveWalks(undo) {
+    const save = saveQueue
+        .then(() => saveLibrary(walks))
+        .catch(err => {
+            walks = undo(walks);
+            applyFilters();
+            throw err;
+        });
+    saveQueue = save.catch(() => {});
+    return save;
 }
 
 /**
- * Save walks to localStorage
+ * Explain a storage failure above the grid, until dismissed
  */
-function saveWalksLocal() {
-    localStorage.setItem('trail_mapper_walks', JSON.stringify(walks));
+function showStorageNotice(err) {
+    const notice = document.getElementById('storage-notice');
+    notice.innerHTML = `⚠️ ${err.message} Your changes this session may not be kept. <button class="storage-notice-close" title="Dismiss">✕</button>`;
+    notice.style.display = '';
+    notice.querySelector('button').onclick = () => { notice.style.display = 'none'; };
 }
 
 /**
@@ -60,25 +137,203 @@ export function getWalks() {
 /**
  * Set walks (for re-routing)
  */
-export function setWalks(newWalks) {
+export async function setWalks(newWalks) {
+    const previous = walks;
     walks = newWalks;
-    saveWalksLocal();
-    filteredWalks = walks.filter(w => {
-        if (activeFilters.difficulty !== 'all' && w.difficulty !== activeFilters.difficulty) return false;
-        if (activeFilters.type !== 'all' && w.walkType !== activeFilters.type) return false;
-        return true;
-    });
-    renderGrid();
+    applyFilters();
+    await saveWalks(current => (current === newWalks ? previous : current));
 }
 
 /**
- * Add a single walk to the library
+ * Find a walk by its ID
  */
-export function addWalk(walk) {
-    walks.push(walk);
-    saveWalksLocal();
-    filteredWalks = [...walks];
-    renderGrid();
+export function getWalkById(id) {
+    return walks.find(w => w.id === id) || null;
+}
+
+/**
+ * Add a single walk to the library — it gets an ID if it has none (or a taken one),
+ * and an `addedAt` timestamp. Resolves to the stored walk once saved.
+ */
+export async function addWalk(walk) {
+    const taken = new Set(walks.map(w => w.id));
+    const id = walk.id && !taken.has(walk.id) ? walk.id : createWalkId(walk, taken);
+    const stored = { ...walk, id, addedAt: new Date().toISOString() };
+    walks = [...walks, stored];
+    applyFilters();
+    await saveWalks(current => current.filter(w => w !== stored));
+    return stored;
+}
+
+/**
+ * Replace a walk in place (e.g. after editing it in the Creator), keeping its ID.
+ * Resolves to false if no walk has that ID.
+ */
+export async function updateWalk(id, walk) {
+    const index = walks.findIndex(w => w.id === id);
+    if (index === -1) return false;
+    const previous = walks[index];
+    const updated = { ...walk, id };
+    walks = walks.map((w, i) => (i === index ? updated : w));
+    applyFilters();
+    await saveWalks(current => current.map(w => (w === updated ? previous : w)));
+    return true;
+}
+
+/**
+ * Remove a walk from the library. Resolves to false if no walk has that ID.
+ */
+export async function deleteWalk(id) {
+    const index = walks.findIndex(w => w.id === id);
+    if (index === -1) return false;
+    const removed = walks[index];
+    walks = walks.filter((_, i) => i !== index);
+    applyFilters();
+    // Put it back where it was, unless a walk with its ID was added meanwhile
+    await saveWalks(current => (current.some(w => w.id === id)
+        ? current
+        : [...current.slice(0, index), removed, ...current.slice(index)]));
+    return true;
+}
+
+/**
+ * Copy a walk under a new ID and name. Resolves to the copy.
+ */
+export async function duplicateWalk(id) {
+    const walk = getWalkById(id);
+    if (!walk) return null;
+    const { id: _, ...copy } = JSON.parse(JSON.stringify(walk));
+    return addWalk({ ...copy, name: `${walk.name} (copy)` });
+}
+
+/**
+ * Throw away the user's walks and edits, back to the bundled library.
+ * The journal is stored separately and is kept.
+ */
+export async function resetWalks() {
+    walks = await resetLibrary();
+    applyFilters();
+}
+
+/**
+ * Settle a bundled-update conflict — keep the user's version or take the bundle's
+ */
+export async function resolveWalkConflict(id, useBundled) {
+    walks = await resolveConflict(walks, id, useBundled);
+    applyFilters();
+}
+
+/**
+ * ID of the walk shown in the detail view, or null
+ */
+export function getOpenWalkId() {
+    return openId;
+}
+
+/**
+ * Walk time for display — "your time" from the pace profile, or the stated time
+ */
+function displayTime(w) {
+    const times = estimateWalkTime(w);
+    return times ? formatDuration(times.yours) : w.time;
+}
+
+/**
+ * Straight-line km from the reference point to the walk's car park, or null
+ */
+function nearKm(w) {
+    const { near } = activeFilters;
+    if (!near || !w.lat || !w.lon) return null;
+    return haversine(near.lat, near.lon, w.lat, w.lon) / 1000;
+}
+
+function formatKm(km) {
+    return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+}
+
+/**
+ * Minutes at the user's pace, worked out once per walk per applyFilters — sorting
+ * and the duration filter ask for every walk many times
+ */
+function walkMinutes(w) {
+    if (!minutesCache.has(w)) {
+        const times = estimateWalkTime(w);
+        minutesCache.set(w, (times ? times.yours : parseDuration(w.time)) / 60);
+    }
+    return minutesCache.get(w);
+}
+
+/**
+ * "Walked" card tag with the count and last date, if the journal has entries
+ */
+function walkedTag(w) {
+    const done = getCompletions(w.id);
+    if (done.length === 0) return '';
+    const times = done.length > 1 ? ` ×${done.length}` : '';
+    return `<span class="walk-tag walked-tag" title="Last walked ${formatDate(done[0].date)}">✓ Walked${times}</span>`;
+}
+
+function formatDate(iso) {
+    return new Date(`${iso}T12:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Escape text for HTML content and attribute values (shared by the views that render user text)
+ */
+export function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Card button to add the walk to (or take it out of) the comparison
+ */
+function compareToggle(w) {
+    const picked = getCompareSelection().includes(w.id);
+    const full = !picked && getCompareSelection().length >= MAX_COMPARE;
+    const title = picked ? 'Remove from comparison' : full ? `Compare up to ${MAX_COMPARE} walks` : 'Add to comparison';
+    return `<button class="compare-toggle ${picked ? 'active' : ''}" data-compare="${w.id}" title="${title}" ${full ? 'disabled' : ''}>⇄</button>`;
+}
+
+/**
+ * The bar listing walks picked for comparison, with the button to compare them
+ */
+function renderCompareTray() {
+    const tray = document.getElementById('compare-tray');
+    const picked = getCompareSelection().map(getWalkById).filter(Boolean);
+    if (picked.length !== getCompareSelection().length) setCompareSelection(picked.map(w => w.id));
+
+    if (picked.length === 0) {
+        tray.style.display = 'none';
+        return;
+    }
+    tray.style.display = '';
+    tray.innerHTML = `
+        <span class="compare-tray-label">⇄ Compare</span>
+        ${picked.map((w, i) => `
+            <span class="compare-chip">
+                <span class="compare-swatch" style="background:${COMPARE_COLORS[i]}"></span>${w.name}
+                <button data-uncompare="${w.id}" title="Remove">✕</button>
+            </span>
+        `).join('')}
+        <button class="compare-go" id="btn-compare" ${picked.length < 2 ? 'disabled title="Pick at least 2 walks"' : ''}>Compare ${picked.length} walks →</button>
+        <button class="compare-clear" id="btn-compare-clear">Clear</button>
+    `;
+
+    tray.querySelectorAll('[data-uncompare]').forEach(btn => {
+        btn.onclick = () => {
+            toggleCompareSelection(btn.dataset.uncompare);
+            renderGrid();
+        };
+    });
+    tray.querySelector('#btn-compare').onclick = () => navigate(compareRoute(picked.map(w => w.id)));
+    tray.querySelector('#btn-compare-clear').onclick = () => {
+        setCompareSelection([]);
+        renderGrid();
+    };
 }
 
 /**
@@ -88,6 +343,15 @@ function renderGrid() {
     const grid = document.getElementById('walk-grid');
     const stats = document.getElementById('filter-stats');
 
+    renderCompareTray();
+
+    const reachPending = reachStatus();
+    if (filteredWalks.length === 0 && reachPending) {
+        grid.innerHTML = `<div class="empty-msg"><span class="empty-icon">🚶</span>${reachPending}</div>`;
+        stats.textContent = '0 walks';
+        return;
+    }
+
     if (filteredWalks.length === 0) {
         grid.innerHTML = `<div class="empty-msg"><span class="empty-icon">🥾</span>No walks match your filters.<br>Try adjusting the filters above.</div>`;
         stats.textContent = '0 walks';
@@ -96,73 +360,515 @@ function renderGrid() {
 
     stats.textContent = `${filteredWalks.length} walk${filteredWalks.length !== 1 ? 's' : ''}`;
 
-    grid.innerHTML = filteredWalks.map((w, i) => `
-        <div class="walk-card" data-index="${walks.indexOf(w)}" tabindex="0">
+    grid.innerHTML = filteredWalks.map((w, i) => {
+        const graded = gradeWalk(w);
+        return `
+        <div class="walk-card" data-id="${w.id}" tabindex="0">
             <div class="walk-card-header">
                 <h3>${w.name}</h3>
-                <span class="walk-type-icon">${walkTypeIcon(w.walkType)}</span>
+                <span class="walk-card-icons">
+                    ${compareToggle(w)}
+                    <button class="fav-toggle ${isFavourite(w.id) ? 'active' : ''}" data-fav="${w.id}" title="${isFavourite(w.id) ? 'Remove from favourites' : 'Add to favourites'}">${isFavourite(w.id) ? '★' : '☆'}</button>
+                    <span class="walk-type-icon">${walkTypeIcon(w.walkType)}</span>
+                </span>
             </div>
             <div class="walk-card-meta">
                 <span>📏 ${w.distance}</span>
-                <span>⏱️ ${w.time}</span>
+                <span title="Your time at your pace">⏱️ ${displayTime(w)}</span>
                 <span>⛰️ ${w.elevation || 'N/A'}</span>
+                ${nearKm(w) != null ? `<span title="Straight-line distance to the car park from ${activeFilters.near.label}">🚗 ${formatKm(nearKm(w))}</span>` : ''}
                 <span class="difficulty-badge ${(w.difficulty || '').toLowerCase()}">${w.difficulty}</span>
             </div>
             <p class="walk-card-desc">${w.thePayoff || w.desc}</p>
             <div class="walk-card-footer">
                 <span class="walk-tag">${w.walkType || 'walk'}</span>
                 <span class="walk-tag">${w.terrain}</span>
+                ${graded.grade !== w.difficulty ? `<span class="walk-tag grade-flag" title="${gradeSummary(graded)}">⚠ Graded ${graded.grade}</span>` : ''}
+                ${walkedTag(w)}
             </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
 
     // Attach click handlers
+    grid.querySelectorAll('.fav-toggle').forEach(btn => {
+        btn.addEventListener('click', async e => {
+            e.stopPropagation();
+            const walk = getWalkById(btn.dataset.fav);
+            try {
+                await toggleFavourite(walk);
+                applyFilters();
+            } catch (err) {
+                alert(`Couldn't update favourites: ${err.message}`);
+            }
+        });
+        btn.addEventListener('keydown', e => e.stopPropagation());
+    });
+    grid.querySelectorAll('.compare-toggle').forEach(btn => {
+        btn.addEventListener('click', e => {
+            e.stopPropagation();
+            if (toggleCompareSelection(btn.dataset.compare)) renderGrid();
+        });
+        btn.addEventListener('keydown', e => e.stopPropagation());
+    });
     grid.querySelectorAll('.walk-card').forEach(card => {
-        card.addEventListener('click', () => openDetail(parseInt(card.dataset.index)));
+        card.addEventListener('click', () => navigate(`/walk/${encodeURIComponent(card.dataset.id)}`));
         card.addEventListener('keydown', e => {
-            if (e.key === 'Enter') openDetail(parseInt(card.dataset.index));
+            if (e.key === 'Enter') navigate(`/walk/${encodeURIComponent(card.dataset.id)}`);
         });
     });
 }
 
 /**
- * Setup filter pill clicks
+ * Wire up search, pills, sort and range sliders, starting from the saved / URL state
  */
 function setupFilters() {
+    document.getElementById('walk-search').addEventListener('input', e => {
+        activeFilters.query = e.target.value;
+        applyFilters();
+    });
+
     document.getElementById('difficulty-filter').addEventListener('click', e => {
         const pill = e.target.closest('.pill');
         if (!pill) return;
-        document.querySelectorAll('#difficulty-filter .pill').forEach(p => p.classList.remove('active'));
-        pill.classList.add('active');
         activeFilters.difficulty = pill.dataset.value;
+        syncFilterControls();
         applyFilters();
     });
 
     document.getElementById('type-filter').addEventListener('click', e => {
         const pill = e.target.closest('.pill');
         if (!pill) return;
-        document.querySelectorAll('#type-filter .pill').forEach(p => p.classList.remove('active'));
-        pill.classList.add('active');
         activeFilters.type = pill.dataset.value;
+        syncFilterControls();
+        applyFilters();
+    });
+
+    document.getElementById('journal-filter').addEventListener('click', e => {
+        const pill = e.target.closest('.pill');
+        if (!pill) return;
+        activeFilters.journal = pill.dataset.value;
+        syncFilterControls();
         applyFilters();
     });
+
+    document.getElementById('walk-sort').addEventListener('change', e => {
+        activeFilters.sort = e.target.value;
+        applyFilters();
+    });
+
+    document.querySelectorAll('.range-filter').forEach(group => {
+        const key = group.dataset.range;
+        const minInput = group.querySelector('.range-min');
+        const maxInput = group.querySelector('.range-max');
+        const onInput = e => {
+            let lo = parseFloat(minInput.value);
+            let hi = parseFloat(maxInput.value);
+            // Handles can't cross — the one being dragged pushes the other
+            if (lo > hi) {
+                if (e.target === minInput) hi = lo;
+                else lo = hi;
+                minInput.value = lo;
+                maxInput.value = hi;
+            }
+            // At the ends of the track means no limit, so longer walks added later still show
+            activeFilters[key] = [
+                lo <= parseFloat(minInput.min) ? null : lo,
+                hi >= parseFloat(maxInput.max) ? null : hi
+            ];
+            applyFilters();
+        };
+        minInput.addEventListener('input', onInput);
+        maxInput.addEventListener('input', onInput);
+    });
+
+    setupNearControls();
+
+    document.getElementById('btn-library-map').addEventListener('click', () => {
+        mapState.open = !mapState.open;
+        showLibraryMap();
+    });
+
+    document.getElementById('map-filter-view').addEventListener('change', e => {
+        mapState.inView = e.target.checked;
+        saveMapState();
+        applyFilters();
+    });
+
+    document.getElementById('btn-reset-filters').addEventListener('click', () => {
+        activeFilters = structuredClone(DEFAULT_FILTERS);
+        applyFilters();
+        syncFilterControls();
+    });
+
+    syncFilterControls();
+    document.getElementById('map-filter-view').checked = mapState.inView;
+    if (mapState.open) showLibraryMap();
 }
 
-function applyFilters() {
+/**
+ * Reference point for distances: the browser's location, a geocoded place or a map click
+ */
+function setupNearControls() {
+    const status = document.getElementById('near-label');
+    const meBtn = document.getElementById('btn-near-me');
+    const placeInput = document.getElementById('near-place');
+
+    const setNear = near => {
+        activeFilters.near = near;
+        // Picking a point is almost always to find what's closest
+        if (activeFilters.sort === 'default') activeFilters.sort = 'nearest';
+        syncFilterControls();
+        applyFilters();
+    };
+    const showError = err => {
+        status.textContent = `❌ ${err.message}`;
+        setTimeout(syncFilterControls, 4000);
+    };
+
+    meBtn.addEventListener('click', async () => {
+        meBtn.disabled = true;
+        status.textContent = 'locating...';
+        try {
+            setNear({ ...await currentPosition(), label: 'your location', source: 'location' });
+        } catch (err) {
+            showError(err);
+        } finally {
+            meBtn.disabled = false;
+        }
+    });
+
+    placeInput.addEventListener('keydown', async e => {
+        if (e.key !== 'Enter' || !placeInput.value.trim()) return;
+        status.textContent = 'searching...';
+        try {
+            setNear({ ...await geocodePlace(placeInput.value.trim()), source: 'place' });
+        } catch (err) {
+            showError(err);
+        }
+    });
+
+    document.getElementById('btn-near-map').addEventListener('click', async () => {
+        if (!mapState.open) {
+            mapState.open = true;
+            showLibraryMap();
+        }
+        const pick = ++nearPick;
+        status.textContent = 'click the map... (Esc to cancel)';
+        const point = await pickLibraryMapPoint();
+        if (!point) {
+            // Cancelled: put the label back, unless a newer pick replaced this one
+            if (pick === nearPick) syncFilterControls();
+            return;
+        }
+        setNear({ ...point, label: 'the picked point', source: 'map' });
+    });
+
+    document.getElementById('near-radius').addEventListener('change', e => {
+        activeFilters.radius = e.target.value ? parseFloat(e.target.value) : null;
+        applyFilters();
+    });
+
+    document.getElementById('near-reach').addEventListener('change', e => {
+        activeFilters.reach = e.target.value ? parseFloat(e.target.value) : null;
+        // Choosing a time that failed (or after the whole request failed) retries the same point
+        if (reachState?.error || reachState?.failed.some(a => a.hours === activeFilters.reach)) reachState = null;
+        applyFilters();
+        syncFilterControls();
+    });
+
+    document.getElementById('btn-near-clear').addEventListener('click', () => {
+        activeFilters.near = null;
+        if (activeFilters.sort === 'nearest') activeFilters.sort = 'default';
+        syncFilterControls();
+        applyFilters();
+    });
+}
+
+/**
+ * Show or hide the overview map as mapState says
+ */
+function showLibraryMap() {
+    document.getElementById('library-map-panel').style.display = mapState.open ? '' : 'none';
+    document.getElementById('btn-library-map').classList.toggle('active', mapState.open);
+    saveMapState();
+
+    if (!mapState.open) cancelLibraryMapPick();
+    if (mapState.open) {
+        initLibraryMap('library-map', {
+            onSelect: id => navigate(`/walk/${encodeURIComponent(id)}`),
+            onMove: () => { if (mapState.inView) applyFilters(); }
+        });
+    }
+    applyFilters();
+}
+
+function readMapState() {
+    try {
+        return { open: false, inView: false, ...JSON.parse(localStorage.getItem(MAP_KEY) || '{}') };
+    } catch {
+        return { open: false, inView: false };
+    }
+}
+
+function saveMapState() {
+    localStorage.setItem(MAP_KEY, JSON.stringify(mapState));
+}
+
+/**
+ * Range sliders: bounds from the library's own walks (rounded out to whole steps),
+ * handles and labels from activeFilters
+ */
+function updateRangeControls() {
+    document.querySelectorAll('.range-filter').forEach(group => {
+        const { step, value, format } = RANGES[group.dataset.range];
+        const values = walks.map(value).filter(v => v > 0);
+        const min = values.length ? Math.floor(Math.min(...values) / step) * step : 0;
+        const max = values.length ? Math.max(Math.ceil(Math.max(...values) / step) * step, min + step) : step;
+        const [lo, hi] = activeFilters[group.dataset.range];
+
+        const minInput = group.querySelector('.range-min');
+        const maxInput = group.querySelector('.range-max');
+        [minInput, maxInput].forEach(input => {
+            input.min = min;
+            input.max = max;
+            input.step = step;
+        });
+        minInput.value = lo ?? min;
+        maxInput.value = hi ?? max;
+
+        let text = 'Any';
+        if (lo != null && hi != null) text = `${format(lo)} – ${format(hi)}`;
+        else if (lo != null) text = `${format(lo)}+`;
+        else if (hi != null) text = `up to ${format(hi)}`;
+        group.querySelector('.range-value').textContent = text;
+    });
+}
+
+/**
+ * Make the search box, sort menu and pills show activeFilters (saved state or a reset)
+ */
+function syncFilterControls() {
+    document.getElementById('walk-search').value = activeFilters.query;
+    document.getElementById('walk-sort').value = activeFilters.sort;
+
+    const { near, radius } = activeFilters;
+    document.getElementById('near-label').textContent = reachStatus() || (near ? near.label : '');
+    document.getElementById('near-place').value = near?.source === 'place' ? near.label : '';
+    document.getElementById('near-radius').value = radius ? String(radius) : '';
+    document.getElementById('near-reach').value = activeFilters.reach ? String(activeFilters.reach) : '';
+    document.getElementById('btn-near-clear').style.display = near ? '' : 'none';
+    ['difficulty', 'type', 'journal'].forEach(key => {
+        document.querySelectorAll(`#${key}-filter .pill`).forEach(p => {
+            p.classList.toggle('active', p.dataset.value === activeFilters[key]);
+        });
+    });
+}
+
+function inRange(value, [lo, hi]) {
+    return (lo == null || value >= lo) && (hi == null || value <= hi);
+}
+
+/**
+ * Filter, sort and render the grid (exported so pace changes refresh card times,
+ * duration filters and sorting)
+ */
+export function applyFilters() {
+    // Walks or the pace profile may have changed since the last run
+    minutesCache = new Map();
+    const scores = searchWalks(walks, activeFilters.query);
+    loadReach();
+    const reachable = reachArea();
+    // Until the walking areas arrive (or when they failed) nothing counts as reachable
+    const reachUnknown = !!(activeFilters.near && activeFilters.reach && !reachable);
+
     filteredWalks = walks.filter(w => {
         if (activeFilters.difficulty !== 'all' && w.difficulty !== activeFilters.difficulty) return false;
         if (activeFilters.type !== 'all' && w.walkType !== activeFilters.type) return false;
-        return true;
+        if (JOURNAL_FILTERS[activeFilters.journal] && !JOURNAL_FILTERS[activeFilters.journal](w)) return false;
+        if (scores && !scores.has(w)) return false;
+        if (activeFilters.near && activeFilters.radius && !(nearKm(w) <= activeFilters.radius)) return false;
+        if (reachUnknown) return false;
+        if (reachable && !(w.lat && w.lon && pointInPolygon(w.lat, w.lon, reachable.geometry))) return false;
+        return Object.keys(RANGES).every(key => inRange(RANGES[key].value(w), activeFilters[key]));
     });
+
+    // The map shows every match; the grid can narrow to the ones in view
+    if (mapState.open) {
+        setLibraryMapWalks(filteredWalks);
+        setLibraryMapOrigin(activeFilters.near, activeFilters.radius);
+        setLibraryMapReach(reachable ? reachState.areas : null, activeFilters.reach);
+        if (mapState.inView) filteredWalks = walksInView(filteredWalks);
+    }
+
+    const sort = SORTS[activeFilters.sort];
+    if (sort) filteredWalks.sort(sort);
+    else if (scores) filteredWalks.sort((a, b) => scores.get(b) - scores.get(a));
+
+    updateRangeControls();
     renderGrid();
+    saveFilterState();
+}
+
+// Switching engine (or server) in Settings fetches the areas again
+function reachKey(near) {
+    const { provider, url } = getRoutingEngine();
+    return `${provider} ${url} ${near.lat.toFixed(5)},${near.lon.toFixed(5)}`;
+}
+
+/**
+ * Fetch the walking areas around the reference point when the reach filter needs
+ * them — once per point and engine; the library re-filters when they arrive or fail.
+ * A failure is kept (so typing doesn't re-request) until that walking time is chosen again.
+ */
+function loadReach() {
+    const { near, reach } = activeFilters;
+    if (!near || !reach) return;
+    const key = reachKey(near);
+    if (reachState?.key === key) return;
+
+    reachState = { key, areas: null, failed: [], error: null };
+    document.getElementById('near-label').textContent = reachStatus();
+    fetchIsochrones(near.lat, near.lon).then(areas => {
+        if (reachState?.key !== key) return;
+        reachState.areas = areas.filter(a => a.geometry);
+        reachState.failed = areas.filter(a => !a.geometry);
+        syncFilterControls();
+        applyFilters();
+    }).catch(err => {
+        if (reachState?.key !== key) return;
+        reachState.error = err.message;
+        syncFilterControls();
+        applyFilters();
+    });
+}
+
+/**
+ * What the reach filter is waiting on ('measuring walking reach...' or the
+ * error, including the chosen area alone being refused), or null when it's off
+ * or its area is loaded
+ */
+function reachStatus() {
+    const { near, reach } = activeFilters;
+    if (!near || !reach || reachState?.key !== reachKey(near)) return null;
+    if (reachState.error) return `❌ ${reachState.error}`;
+    if (!reachState.areas) return 'measuring walking reach...';
+    const failed = reachState.failed.find(a => a.hours === reach);
+    return failed ? `❌ ${failed.error}` : null;
+}
+
+/**
+ * The chosen walking area around the reference point, or null until it's loaded
+ */
+function reachArea() {
+    const { near, reach } = activeFilters;
+    if (!near || !reach || !reachState?.areas) return null;
+    if (reachState.key !== reachKey(near)) return null;
+    return reachState.areas.find(a => a.hours === reach) || null;
+}
+
+/* ── Filter state: localStorage + URL ────────────────── */
+
+/**
+ * Filters from #/library?... query parameters, or null if there are none
+ */
+function filtersFromParams(params) {
+    if (!FILTER_PARAMS.some(k => params.has(k))) return null;
+
+    const filters = structuredClone(DEFAULT_FILTERS);
+    filters.query = params.get('q') || '';
+    filters.difficulty = params.get('difficulty') || 'all';
+    filters.type = params.get('type') || 'all';
+    filters.sort = params.get('sort') || 'default';
+    Object.keys(RANGES).forEach(key => {
+        // "2-10", "2-" or "-10"
+        const [lo, hi] = (params.get(key) || '-').split('-').map(v => (v === '' ? null : parseFloat(v)));
+        filters[key] = [Number.isFinite(lo) ? lo : null, Number.isFinite(hi) ? hi : null];
+    });
+    // "54.430,-2.960" plus the place name when it was a typed place
+    const [lat, lon] = (params.get('near') || '').split(',').map(parseFloat);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        const place = params.get('place');
+        filters.near = place
+            ? { lat, lon, label: place, source: 'place' }
+            : { lat, lon, label: 'the linked point', source: 'link' };
+    }
+    filters.radius = parseFloat(params.get('radius')) || null;
+    // Only the walking times there are areas for
+    const reach = parseFloat(params.get('reach'));
+    filters.reach = REACH_HOURS.includes(reach) ? reach : null;
+    filters.journal = params.get('journal') || 'all';
+    return filters;
+}
+
+function filterParams() {
+    const params = new URLSearchParams();
+    if (activeFilters.query) params.set('q', activeFilters.query);
+    if (activeFilters.difficulty !== 'all') params.set('difficulty', activeFilters.difficulty);
+    if (activeFilters.type !== 'all') params.set('type', activeFilters.type);
+    if (activeFilters.sort !== 'default') params.set('sort', activeFilters.sort);
+    Object.keys(RANGES).forEach(key => {
+        const [lo, hi] = activeFilters[key];
+        if (lo != null || hi != null) params.set(key, `${lo ?? ''}-${hi ?? ''}`);
+    });
+    const { near, radius } = activeFilters;
+    if (near) {
+        // ~100 m is plenty for car park distances, and doesn't pin down where someone lives
+        params.set('near', `${near.lat.toFixed(3)},${near.lon.toFixed(3)}`);
+        if (near.source === 'place') params.set('place', near.label);
+    }
+    if (radius) params.set('radius', radius);
+    if (activeFilters.reach) params.set('reach', activeFilters.reach);
+    if (activeFilters.journal !== 'all') params.set('journal', activeFilters.journal);
+    return params;
+}
+
+/**
+ * Filters from the URL if it has any (a shared link), otherwise the last session's
+ */
+function readFilterState() {
+    const { view, params } = currentRoute();
+    const fromUrl = view === 'library' ? filtersFromParams(params) : null;
+    if (fromUrl) return fromUrl;
+
+    try {
+        return { ...structuredClone(DEFAULT_FILTERS), ...JSON.parse(localStorage.getItem(FILTERS_KEY) || '{}') };
+    } catch {
+        return structuredClone(DEFAULT_FILTERS);
+    }
+}
+
+/**
+ * Remember the filters and mirror them into the #/library route's query
+ */
+function saveFilterState() {
+    localStorage.setItem(FILTERS_KEY, JSON.stringify(activeFilters));
+    if (currentRoute().view === 'library') updateQuery(filterParams());
+}
+
+/**
+ * Apply filters from a #/library route (a link, or back/forward); a bare
+ * #/library keeps the current filters and writes them into the URL
+ */
+export function restoreFilters(params) {
+    const filters = filtersFromParams(params);
+    // Compare as URL params — the URL rounds the reference point
+    if (filters && params.toString() !== filterParams().toString()) {
+        activeFilters = filters;
+        syncFilterControls();
+        applyFilters();
+    } else {
+        saveFilterState();
+    }
 }
 
 /**
  * Open walk detail view
  */
-export function openDetail(index) {
-    const w = walks[index];
+export function openDetail(id) {
+    const w = getWalkById(id);
     if (!w) return;
+    openId = id;
 
     const detail = document.getElementById('view-detail');
     const library = document.getElementById('view-library');
@@ -172,9 +878,13 @@ export function openDetail(index) {
     document.getElementById('detail-badge').textContent = `${walkTypeIcon(w.walkType)} ${w.walkType || 'walk'}`;
     document.getElementById('detail-badge').style.background = `${difficultyColor(w.difficulty)}22`;
     document.getElementById('detail-badge').style.color = difficultyColor(w.difficulty);
+    const times = estimateWalkTime(w);
+    const bookTime = times ? formatDuration(times.book) : w.time;
+    const yourTime = times ? formatDuration(times.yours) : w.time;
+
     document.getElementById('detail-meta').innerHTML = `
         <span>📏 ${w.distance}</span>
-        <span>⏱️ ${w.time}</span>
+        <span>⏱️ ${yourTime}</span>
         <span style="color:${difficultyColor(w.difficulty)};font-weight:600;">${w.difficulty}</span>
         <span>📍 ${w.start}</span>
     `;
@@ -194,13 +904,24 @@ export function openDetail(index) {
     // Stats
     document.getElementById('detail-stats').innerHTML = `
         <div class="stat-item"><div class="stat-label">Distance</div><div class="stat-value">${w.distance}</div></div>
-        <div class="stat-item"><div class="stat-label">Time</div><div class="stat-value">${w.time}</div></div>
+        <div class="stat-item"><div class="stat-label">Book Time</div><div class="stat-value">${bookTime}</div></div>
+        <div class="stat-item"><div class="stat-label">Your Time</div><div class="stat-value">${yourTime}</div></div>
         <div class="stat-item"><div class="stat-label">Elevation</div><div class="stat-value">${w.elevation || 'N/A'}</div></div>
         <div class="stat-item"><div class="stat-label">Terrain</div><div class="stat-value">${w.terrain}</div></div>
         <div class="stat-item"><div class="stat-label">Start</div><div class="stat-value">${w.start}</div></div>
         <div class="stat-item"><div class="stat-label">Type</div><div class="stat-value">${walkTypeIcon(w.walkType)} ${w.walkType || 'walk'}</div></div>
     `;
 
+    // Computed grade and the reasons behind it
+    const graded = gradeWalk(w);
+    document.getElementById('detail-grading').innerHTML = `
+        <span class="grade-score" style="color:${difficultyColor(graded.grade)};">${graded.score}</span>
+        <div>
+            <div>${gradeSummary(graded)}</div>
+            ${graded.grade !== w.difficulty ? `<div class="grade-mismatch">⚠ Stated difficulty is ${w.difficulty} — the computed grade disagrees</div>` : ''}
+        </div>
+    `;
+
     // Parking
     const parkP = document.getElementById('detail-parking');
     if (w.parkingDetail) {
@@ -210,6 +931,27 @@ export function openDetail(index) {
         parkP.style.display = 'none';
     }
 
+    // Favourite star next to the name
+    const favBtn = document.getElementById('btn-favourite');
+    const showFavourite = () => {
+        const fav = isFavourite(w.id);
+        favBtn.textContent = fav ? '★' : '☆';
+        favBtn.title = fav ? 'Remove from favourites' : 'Add to favourites';
+        favBtn.classList.toggle('active', fav);
+    };
+    showFavourite();
+    favBtn.onclick = async () => {
+        try {
+            await toggleFavourite(w);
+            showFavourite();
+            applyFilters();
+        } catch (err) {
+            alert(`Couldn't update favourites: ${err.message}`);
+        }
+    };
+
+    renderDetailJournal(w);
+
     // Directions
     const dirDiv = document.getElementById('detail-directions');
     if (w.directions && w.directions.length > 0) {
@@ -240,20 +982,83 @@ export function openDetail(index) {
         });
     };
 
-    // GPX download button
+    // Printable A4 route card (or PDF via the print dialog)
+    const printBtn = document.getElementById('btn-print-card');
+    printBtn.textContent = '🖨️ Print Route Card';
+    printBtn.disabled = false;
+    printBtn.onclick = async () => {
+        printBtn.disabled = true;
+        printBtn.textContent = '⏳ Drawing map...';
+        try {
+            await printRouteCard(w);
+            printBtn.textContent = '🖨️ Print Route Card';
+        } catch (err) {
+            printBtn.textContent = `❌ ${err.message}`;
+            setTimeout(() => { printBtn.textContent = '🖨️ Print Route Card'; }, 3000);
+        } finally {
+            printBtn.disabled = false;
+        }
+    };
+
+    // Download button + format picker (GPX, KML, GeoJSON, TCX, FIT)
     let gpxBtn = document.getElementById('btn-gpx-download');
+    let formatPicker = document.getElementById('export-format');
     if (!gpxBtn) {
         gpxBtn = document.createElement('button');
         gpxBtn.id = 'btn-gpx-download';
         gpxBtn.className = 'btn-secondary';
-        gpxBtn.textContent = '📥 Download GPX';
         gpxBtn.style.cssText = 'margin-left:8px;';
         document.getElementById('btn-export-detail').parentNode.appendChild(gpxBtn);
+
+        formatPicker = document.createElement('select');
+        formatPicker.id = 'export-format';
+        formatPicker.className = 'export-format';
+        formatPicker.innerHTML = Object.entries(EXPORT_FORMATS).map(([key, f]) =>
+            `<option value="${key}">${f.label}</option>`
+        ).join('');
+        gpxBtn.after(formatPicker);
+    }
+    const downloadLabel = () => `📥 Download ${EXPORT_FORMATS[formatPicker.value].label.split(' ')[0]}`;
+    gpxBtn.textContent = downloadLabel();
+    // Optional <rte> for devices that navigate routes rather than tracks
+    let rteToggle = document.getElementById('gpx-include-route');
+    if (!rteToggle) {
+        const label = document.createElement('label');
+        label.className = 'gpx-route-toggle';
+        label.title = 'Add a route (<rte>) alongside the track for devices that prefer routes';
+        label.innerHTML = '<input type="checkbox" id="gpx-include-route"> + route';
+        formatPicker.after(label);
+        rteToggle = label.querySelector('input');
     }
+    formatPicker.onchange = () => {
+        gpxBtn.textContent = downloadLabel();
+        rteToggle.parentNode.style.display = formatPicker.value === 'gpx' ? '' : 'none';
+    };
+
     gpxBtn.onclick = () => {
-        downloadGPX(w);
+        downloadWalk(w, formatPicker.value, { includeRoute: rteToggle.checked });
         gpxBtn.textContent = '✅ Downloaded!';
-        setTimeout(() => { gpxBtn.textContent = '📥 Download GPX'; }, 2000);
+        setTimeout(() => { gpxBtn.textContent = downloadLabel(); }, 2000);
+    };
+
+    // Duplicate / delete (with confirmation)
+    document.getElementById('btn-duplicate-walk').onclick = async () => {
+        if (!confirm(`Duplicate "${w.name}"?`)) return;
+        try {
+            const copy = await duplicateWalk(w.id);
+            if (copy) navigate(`/walk/${encodeURIComponent(copy.id)}`);
+        } catch (err) {
+            alert(`Couldn't duplicate "${w.name}": ${err.message}`);
+        }
+    };
+    document.getElementById('btn-delete-walk').onclick = async () => {
+        if (!confirm(`Delete "${w.name}" from the library? This can't be undone.`)) return;
+        try {
+            await deleteWalk(w.id);
+            goBack('/library');
+        } catch (err) {
+            alert(`Couldn't delete "${w.name}": ${err.message}`);
+        }
     };
 
     // "Navigate to Car Park" button — driving directions to parking
@@ -287,16 +1092,33 @@ export function openDetail(index) {
     // Render map
     setTimeout(() => {
         if (detailMap) { detailMap.remove(); detailMap = null; }
+        positionMarker = null;
+        sectionLayer = null;
 
         detailMap = createMap('detail-map', {
             center: [w.lat, w.lon],
             zoom: 14
         });
 
+        let profile = null;
+
         if (w.waypoints && w.waypoints.length > 1) {
-            drawRoute(detailMap, w.waypoints);
+            const route = drawRoute(detailMap, w.waypoints);
             fitToWaypoints(detailMap, w.waypoints, [50, 50]);
 
+            // Hovering the route highlights the same point on the elevation profile
+            [route.glow, route.line].forEach(layer => {
+                layer.on('mousemove', e => {
+                    const idx = nearestWaypointIndex(w.waypoints, e.latlng);
+                    showRoutePosition(w.waypoints[idx]);
+                    if (profile) profile.highlightIndex(idx);
+                });
+                layer.on('mouseout', () => {
+                    hideRoutePosition();
+                    if (profile) profile.clearHighlight();
+                });
+            });
+
             // 1. ANCHOR CAR PARK TO EXACT JSON COORDINATE
             parkingMarker(w.lat, w.lon, w.start).addTo(detailMap);
 
@@ -312,13 +1134,146 @@ export function openDetail(index) {
             parkingMarker(w.lat, w.lon, w.start).addTo(detailMap);
         }
 
-        // Render elevation profile
-        renderElevationProfile('detail-elevation', w.waypoints, w.elevation);
+        // Render elevation profile, linked to the map
+        profile = renderElevationProfile('detail-elevation', w.waypoints, w.elevation, {
+            onHover: idx => showRoutePosition(w.waypoints[idx]),
+            onLeave: hideRoutePosition,
+            onSelect: range => highlightSection(range ? w.waypoints.slice(range.startIdx, range.endIdx + 1) : null)
+        });
     }, 100);
 
     detail.scrollTop = 0;
 }
 
+/**
+ * The walk's journal in the detail view: past entries, and a form to log a new one
+ */
+function renderDetailJournal(w) {
+    const el = document.getElementById('detail-journal');
+    const entries = getCompletions(w.id);
+
+    el.innerHTML = `
+        <h4>📓 Your Journal</h4>
+        ${entries.length ? entries.map(c => `
+            <div class="journal-entry">
+                <div class="journal-entry-head">
+                    <strong>${formatDate(c.date)}</strong>
+                    ${c.minutes ? `<span>⏱️ ${formatDuration(c.minutes * 60)}</span>` : ''}
+                    ${c.conditions ? `<span>🌦️ ${escapeHtml(c.conditions)}</span>` : ''}
+                    ${c.companions ? `<span>👥 ${escapeHtml(c.companions)}</span>` : ''}
+                    <button class="journal-entry-delete" data-entry="${c.id}" title="Delete this entry">✕</button>
+                </div>
+                ${c.notes ? `<p class="journal-entry-notes">${escapeHtml(c.notes)}</p>` : ''}
+            </div>
+        `).join('') : '<p class="journal-empty">Not walked yet.</p>'}
+        <button class="btn-walked" id="btn-walked">✓ I walked this</button>
+        <form class="journal-form" id="journal-form" style="display:none;">
+            <div class="journal-form-grid">
+                <label>Date <input type="date" name="date" required></label>
+                <label>Actual time <input type="text" name="duration" placeholder="e.g. 2h30 or 2:30"></label>
+                <label>Companions <input type="text" name="companions" placeholder="Who came along"></label>
+                <label>Conditions <input type="text" name="conditions" list="journal-conditions" placeholder="e.g. Sunny, windy on top"></label>
+            </div>
+            <label>Notes <textarea name="notes" rows="3" placeholder="How was it?"></textarea></label>
+            <datalist id="journal-conditions">
+                ${['Sunny', 'Cloudy', 'Showers', 'Rain', 'Windy', 'Low cloud', 'Snow', 'Frost'].map(c => `<option value="${c}">`).join('')}
+            </datalist>
+            <div class="journal-form-actions">
+                <button type="submit" class="btn-save-entry">💾 Save Entry</button>
+                <button type="button" class="btn-cancel-entry">Cancel</button>
+            </div>
+        </form>
+    `;
+
+    const form = el.querySelector('#journal-form');
+    const fields = form.elements;
+    const walkedBtn = el.querySelector('#btn-walked');
+    walkedBtn.onclick = () => {
+        // Today in local time, as the date input wants it
+        const today = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+        fields.date.value = today;
+        fields.date.max = today;
+        form.style.display = '';
+        walkedBtn.style.display = 'none';
+    };
+    form.querySelector('.btn-cancel-entry').onclick = () => renderDetailJournal(w);
+
+    form.onsubmit = async e => {
+        e.preventDefault();
+        const saveBtn = form.querySelector('.btn-save-entry');
+        try {
+            const durationText = fields.duration.value.trim();
+            const seconds = parseDuration(durationText);
+            if (durationText && !seconds) throw new Error(`Couldn't read the time "${durationText}" — try 2h30 or 2:30`);
+            saveBtn.disabled = true;
+            await addCompletion(w, {
+                date: fields.date.value,
+                minutes: seconds ? Math.round(seconds / 60) : null,
+                companions: fields.companions.value.trim(),
+                conditions: fields.conditions.value.trim(),
+                notes: fields.notes.value.trim()
+            });
+            renderDetailJournal(w);
+            applyFilters();
+        } catch (err) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = `❌ ${err.message}`;
+            setTimeout(() => { saveBtn.textContent = '💾 Save Entry'; }, 3000);
+        }
+    };
+
+    el.querySelectorAll('.journal-entry-delete').forEach(btn => {
+        btn.onclick = async () => {
+            if (!confirm('Delete this journal entry?')) return;
+            try {
+                await deleteCompletion(w.id, btn.dataset.entry);
+                renderDetailJournal(w);
+                applyFilters();
+            } catch (err) {
+                alert(`Couldn't delete the entry: ${err.message}`);
+            }
+        };
+    });
+}
+
+/**
+ * Move the position marker on the detail map to a waypoint
+ */
+function showRoutePosition(wp) {
+    if (!detailMap || !wp) return;
+    if (!positionMarker) {
+        positionMarker = L.circleMarker([wp[0], wp[1]], {
+            radius: 7,
+            color: '#0c1117',
+            weight: 2,
+            fillColor: '#f0a830',
+            fillOpacity: 1,
+            interactive: false
+        });
+    }
+    positionMarker.setLatLng([wp[0], wp[1]]);
+    if (!detailMap.hasLayer(positionMarker)) positionMarker.addTo(detailMap);
+}
+
+function hideRoutePosition() {
+    if (detailMap && positionMarker) detailMap.removeLayer(positionMarker);
+}
+
+/**
+ * Highlight a selected profile section on the detail map (null clears it)
+ */
+function highlightSection(points) {
+    if (sectionLayer) { detailMap.removeLayer(sectionLayer); sectionLayer = null; }
+    if (!detailMap || !points || points.length < 2) return;
+    sectionLayer = L.polyline(points, {
+        color: '#4ecdc4',
+        weight: 6,
+        opacity: 0.9,
+        lineJoin: 'round',
+        interactive: false
+    }).addTo(detailMap);
+}
+
 /**
  * Close detail and return to library
  */
@@ -326,5 +1281,9 @@ export function closeDetail() {
     document.getElementById('view-detail').classList.remove('active');
     document.getElementById('view-detail').style.display = 'none';
     document.getElementById('view-library').classList.add('active');
+    resizeLibraryMap();
     if (detailMap) { detailMap.remove(); detailMap = null; }
+    openId = null;
+    positionMarker = null;
+    sectionLayer = null;
 }
@@ -1,3 +1,5 @@
+import { haversine } from './geo.js';
+
 // Tile sources
 const TOPO_TILES = 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png';
 const TOPO_ATTR = '© <a href="https://opentopomap.org">OpenTopoMap</a> · © <a href="https://openstreetmap.org">OSM</a>';
@@ -60,6 +62,15 @@ function loadGoogleMapsAPI() {
     });
 }
 
+/**
+ * URL of one terrain tile — the same OpenTopoMap tiles the Leaflet maps show
+ * (for drawing maps outside Leaflet, e.g. the printed route card)
+ */
+export function topoTileUrl(z, x, y) {
+    const s = 'abc'[(x + y) % 3]; // Leaflet's default subdomains
+    return TOPO_TILES.replace('{s}', s).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
 /**
  * Create a Leaflet map.
  * Default layer: OpenTopoMap terrain (Leaflet tiles).
@@ -238,39 +249,154 @@ export function fitToWaypoints(map, waypoints, padding = [50, 50]) {
     map.fitBounds(bounds, { padding });
 }
 
+// Garmin-compatible <sym> names for each walk type's destination
+const DEST_SYMBOLS = {
+    summit: 'Summit',
+    ridge: 'Summit',
+    lakeside: 'Scenic Area',
+    waterfall: 'Scenic Area',
+    heritage: 'Museum',
+    woodland: 'Forest',
+    village: 'City (Small)'
+};
+
+// Devices that prefer routes choke on dense geometry — cap <rtept> count
+const MAX_ROUTE_POINTS = 250;
+
+/**
+ * Locate each direction step on the route.
+ * Uses the step's own lat/lon when present, otherwise spaces steps evenly
+ * by distance from the start (first step) to the finish (last step).
+ * Returns [[lat, lon, ele?], ...] aligned with walk.directions.
+ */
+export function directionLocations(walk) {
+    const dirs = walk.directions || [];
+    const wps = walk.waypoints || [];
+    if (dirs.length === 0) return [];
+    if (wps.length === 0) return dirs.map(d => [d.lat ?? walk.lat, d.lon ?? walk.lon]);
+
+    // Cumulative distance along the route
+    const cum = [0];
+    for (let i = 1; i < wps.length; i++) {
+        cum.push(cum[i - 1] + haversine(wps[i - 1][0], wps[i - 1][1], wps[i][0], wps[i][1]));
+    }
+    const total = cum[cum.length - 1];
+
+    return dirs.map((d, i) => {
+        if (Number.isFinite(d.lat) && Number.isFinite(d.lon)) return [d.lat, d.lon];
+        const target = dirs.length > 1 ? (i / (dirs.length - 1)) * total : 0;
+        const idx = cum.findIndex(c => c >= target);
+        return wps[idx === -1 ? wps.length - 1 : idx];
+    });
+}
+
+/**
+ * Evenly sample waypoints down to at most `max` points, keeping the first and last
+ */
+function samplePoints(points, max) {
+    if (points.length <= max) return points;
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
 /**
- * Generate GPX file from walk data
+ * GPX <wpt>/<trkpt>/<rtept> element with optional <ele> and child elements
  */
-export function generateGPX(walk) {
-    const pts = (walk.waypoints || []).map(wp =>
-        `      <trkpt lat="${wp[0]}" lon="${wp[1]}"></trkpt>`
-    ).join('\n');
+function gpxPoint(tag, wp, children = '', indent = '  ') {
+    const ele = Number.isFinite(wp[2]) ? `<ele>${wp[2].toFixed(1)}</ele>` : '';
+    if (!ele && !children) return `${indent}<${tag} lat="${wp[0]}" lon="${wp[1]}"></${tag}>`;
+    return `${indent}<${tag} lat="${wp[0]}" lon="${wp[1]}">${ele}${children}</${tag}>`;
+}
+
+/**
+ * Generate a GPX 1.1 file from walk data:
+ * metadata (author, link, time, keywords, bounds), car park / destination /
+ * direction waypoints, the track with elevation, and optionally a <rte>
+ * for devices that navigate routes rather than tracks
+ */
+export function generateGPX(walk, options = {}) {
+    const wps = walk.waypoints || [];
+    const link = walk.routeUrl || (typeof window !== 'undefined' ? window.location.origin : '');
+    const keywords = [walk.walkType, walk.difficulty].filter(Boolean).join(', ');
+
+    // Bounds
+    let bounds = '';
+    if (wps.length > 0) {
+        const lats = wps.map(wp => wp[0]);
+        const lons = wps.map(wp => wp[1]);
+        bounds = `    <bounds minlat="${Math.min(...lats)}" minlon="${Math.min(...lons)}" maxlat="${Math.max(...lats)}" maxlon="${Math.max(...lons)}"/>\n`;
+    }
+
+    // Waypoints: car park, destination, then each direction step
+    const wpts = [];
+    if (Number.isFinite(walk.lat) && Number.isFinite(walk.lon)) {
+        wpts.push(gpxPoint('wpt', [walk.lat, walk.lon],
+            `<name>${escapeXml(walk.start || 'Car Park')}</name>` +
+            (walk.parkingDetail ? `<desc>${escapeXml(walk.parkingDetail)}</desc>` : '') +
+            '<sym>Parking Area</sym><type>Parking</type>'));
+    }
+    const isCircular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    if (Number.isFinite(walk.endLat) && Number.isFinite(walk.endLon) && !isCircular) {
+        wpts.push(gpxPoint('wpt', [walk.endLat, walk.endLon],
+            `<name>${escapeXml(walk.name)}</name>` +
+            `<sym>${DEST_SYMBOLS[walk.walkType] || 'Flag, Blue'}</sym><type>Destination</type>`));
+    }
+    const dirLocs = directionLocations(walk);
+    (walk.directions || []).forEach((d, i) => {
+        wpts.push(gpxPoint('wpt', dirLocs[i],
+            `<name>${escapeXml(`${d.step}. ${d.landmark || `Step ${d.step}`}`)}</name>` +
+            `<cmt>${escapeXml(d.instruction || '')}</cmt>` +
+            `<desc>${escapeXml(d.instruction || '')}</desc>` +
+            '<sym>Waypoint</sym><type>Direction</type>'));
+    });
+
+    const rte = options.includeRoute && wps.length > 1 ? `
+  <rte>
+    <name>${escapeXml(walk.name)}</name>
+${samplePoints(wps, MAX_ROUTE_POINTS).map(wp => gpxPoint('rtept', wp, '', '    ')).join('\n')}
+  </rte>` : '';
+
+    const trkpts = wps.map(wp => gpxPoint('trkpt', wp, '', '      ')).join('\n');
 
     return `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="Trail Mapper Pro"
-  xmlns="http://www.topografix.com/GPX/1/1">
+  xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
   <metadata>
     <name>${escapeXml(walk.name)}</name>
     <desc>${escapeXml(walk.desc || '')}</desc>
-  </metadata>
+    <author><name>Trail Mapper Pro</name></author>
+${link ? `    <link href="${escapeXml(link)}"><text>${escapeXml(walk.name)}</text></link>\n` : ''}    <time>${new Date().toISOString()}</time>
+${keywords ? `    <keywords>${escapeXml(keywords)}</keywords>\n` : ''}${bounds}  </metadata>
+${wpts.join('\n')}${rte}
   <trk>
     <name>${escapeXml(walk.name)}</name>
     <trkseg>
-${pts}
+${trkpts}
     </trkseg>
   </trk>
 </gpx>`;
 }
 
-function escapeXml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+/**
+ * Escape text for XML content and attribute values (shared by the GPX, KML and TCX writers)
+ */
+export function escapeXml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
 }
 
 /**
  * Download GPX file for a walk
+ * Pass { includeRoute: true } to add a <rte> alongside the <trk>
  */
-export function downloadGPX(walk) {
-    const gpx = generateGPX(walk);
+export function downloadGPX(walk, options = {}) {
+    const gpx = generateGPX(walk, options);
     const blob = new Blob([gpx], { type: 'application/gpx+xml' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -280,25 +406,235 @@ export function downloadGPX(walk) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Check whether waypoints carry per-point elevation ([lat, lon, ele])
+ */
+export function hasElevationData(waypoints) {
+    if (!waypoints || waypoints.length < 2) return false;
+    const withEle = waypoints.filter(wp => Number.isFinite(wp[2])).length;
+    return withEle >= waypoints.length / 2;
+}
+
+/**
+ * Build a measured distance/altitude series from [lat, lon, ele] waypoints.
+ * Returns [{ dist: metres along route, ele: metres, idx: waypoint index }]
+ * — points without elevation still count towards distance but are not plotted.
+ */
+export function buildElevationSeries(waypoints) {
+    const series = [];
+    let dist = 0;
+    for (let i = 0; i < waypoints.length; i++) {
+        if (i > 0) {
+            dist += haversine(waypoints[i - 1][0], waypoints[i - 1][1], waypoints[i][0], waypoints[i][1]);
+        }
+        if (Number.isFinite(waypoints[i][2])) {
+            series.push({ dist, ele: waypoints[i][2], idx: i });
+        }
+    }
+    return series;
+}
+
+// Altitude changes smaller than this are treated as GPS/DEM noise
+const ELEVATION_NOISE_M = 3;
+
+/**
+ * Total ascent, descent, min and max altitude from per-point elevation.
+ * Returns null when the waypoints carry no elevation.
+ */
+export function computeElevationStats(waypoints) {
+    if (!hasElevationData(waypoints)) return null;
+    return summariseSeries(buildElevationSeries(waypoints));
+}
+
+/**
+ * Ascent/descent/min/max over a distance/altitude series
+ */
+function summariseSeries(series) {
+    let ascent = 0;
+    let descent = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let ref = series[0].ele;
+
+    for (const p of series) {
+        min = Math.min(min, p.ele);
+        max = Math.max(max, p.ele);
+        const diff = p.ele - ref;
+        if (diff >= ELEVATION_NOISE_M) {
+            ascent += diff;
+            ref = p.ele;
+        } else if (diff <= -ELEVATION_NOISE_M) {
+            descent -= diff;
+            ref = p.ele;
+        }
+    }
+
+    return {
+        ascent: Math.round(ascent),
+        descent: Math.round(descent),
+        min: Math.round(min),
+        max: Math.round(max)
+    };
+}
+
+/**
+ * Binary search a series (sorted by `key`) for the point closest to `value`
+ */
+function nearestSeriesPoint(series, key, value) {
+    let lo = 0;
+    let hi = series.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (series[mid][key] < value) lo = mid;
+        else hi = mid;
+    }
+    return Math.abs(series[lo][key] - value) <= Math.abs(series[hi][key] - value) ? series[lo] : series[hi];
+}
+
+// Gradient is measured over this distance either side of a point to smooth out noise
+const GRADIENT_WINDOW_M = 50;
+
+/**
+ * Gradient (%) at a series point
+ */
+function gradientAt(series, pt) {
+    const before = nearestSeriesPoint(series, 'dist', pt.dist - GRADIENT_WINDOW_M);
+    const after = nearestSeriesPoint(series, 'dist', pt.dist + GRADIENT_WINDOW_M);
+    const run = after.dist - before.dist;
+    return run > 0 ? ((after.ele - before.ele) / run) * 100 : 0;
+}
+
+/**
+ * Distance, ascent/descent and average gradient between two distances along a series
+ */
+function sectionStats(series, from, to) {
+    const section = series.filter(p => p.dist >= from && p.dist <= to);
+    if (section.length < 2) return null;
+    const first = section[0];
+    const last = section[section.length - 1];
+    const distance = last.dist - first.dist;
+    return {
+        ...summariseSeries(section),
+        distance,
+        gradient: distance > 0 ? ((last.ele - first.ele) / distance) * 100 : 0,
+        startIdx: first.idx,
+        endIdx: last.idx
+    };
+}
+
+/**
+ * Index of the waypoint nearest to a Leaflet latlng
+ */
+export function nearestWaypointIndex(waypoints, latlng) {
+    let best = 0;
+    let bestD = Infinity;
+    for (let i = 0; i < waypoints.length; i++) {
+        const dLat = waypoints[i][0] - latlng.lat;
+        const dLon = (waypoints[i][1] - latlng.lng) * Math.cos(latlng.lat * Math.PI / 180);
+        const d = dLat * dLat + dLon * dLon;
+        if (d < bestD) { bestD = d; best = i; }
+    }
+    return best;
+}
+
+/**
+ * Douglas–Peucker simplification — indices of the waypoints that keep the
+ * route within toleranceM metres of its original shape (first and last always kept)
+ */
+export function simplifyRoute(waypoints, toleranceM) {
+    if (waypoints.length <= 2) return waypoints.map((_, i) => i);
+
+    // Local equirectangular projection to metres is plenty at walk scale
+    const lat0 = waypoints[0][0] * Math.PI / 180;
+    const pts = waypoints.map(wp => [wp[1] * Math.cos(lat0) * 111320, wp[0] * 110540]);
+
+    const keep = new Set([0, pts.length - 1]);
+    const stack = [[0, pts.length - 1]];
+    while (stack.length) {
+        const [a, b] = stack.pop();
+        const [ax, ay] = pts[a];
+        const [bx, by] = pts[b];
+        const len2 = (bx - ax) ** 2 + (by - ay) ** 2;
+        let maxD = 0;
+        let maxI = -1;
+        for (let i = a + 1; i < b; i++) {
+            const [px, py] = pts[i];
+            const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / len2)) : 0;
+            const d = Math.hypot(px - (ax + t * (bx - ax)), py - (ay + t * (by - ay)));
+            if (d > maxD) { maxD = d; maxI = i; }
+        }
+        if (maxD > toleranceM) {
+            keep.add(maxI);
+            stack.push([a, maxI], [maxI, b]);
+        }
+    }
+    return [...keep].sort((x, y) => x - y);
+}
+
+/**
+ * Synthetic profile for walks without elevation data —
+ * a single hill scaled by the walk's stated ascent string
+ */
+function estimateElevationSeries(waypoints, elevation) {
+    const totalAscent = parseFloat(elevation) || 100;
+    const numPts = Math.min(waypoints.length, 200);
+    const step = Math.max(1, Math.floor(waypoints.length / numPts));
+    const series = [];
+    let dist = 0;
+
+    for (let i = 0; i < waypoints.length; i += step) {
+        if (i > 0) {
+            const prev = waypoints[Math.max(0, i - step)];
+            dist += haversine(prev[0], prev[1], waypoints[i][0], waypoints[i][1]);
+        }
+        const x = i / waypoints.length;
+        series.push({ dist, ele: totalAscent * Math.sin(x * Math.PI) * 0.8 + totalAscent * 0.1, idx: i });
+    }
+    return series;
+}
+
 /**
  * Render a crisp, HiDPI-aware elevation profile canvas
- * Uses rough Haversine distance along waypoints
+ * Plots measured altitude against distance when waypoints carry elevation;
+ * otherwise falls back to an estimated curve from the elevation string.
+ *
+ * Hover/touch shows a crosshair and drag selects a section. Handlers receive
+ * waypoint indices so callers can mirror the position on a map:
+ *   onHover(idx), onLeave(), onSelect({ startIdx, endIdx } | null)
+ * Returns { highlightIndex(idx), clearHighlight() } for the reverse direction.
  */
-export function renderElevationProfile(containerId, waypoints, elevation) {
+export function renderElevationProfile(containerId, waypoints, elevation, handlers = {}) {
     const container = document.getElementById(containerId);
     if (!container || !waypoints || waypoints.length < 2) {
         if (container) container.style.display = 'none';
-        return;
+        return null;
     }
 
+    const measured = hasElevationData(waypoints);
+    const series = measured ? buildElevationSeries(waypoints) : estimateElevationSeries(waypoints, elevation);
+    const stats = measured ? computeElevationStats(waypoints) : null;
+
     container.style.display = 'block';
     container.innerHTML = `
-        <div class="elevation-label">📈 Elevation Profile</div>
-        <canvas id="${containerId}-canvas" class="elevation-canvas"></canvas>
+        <div class="elevation-label">📈 Elevation Profile${measured ? '' : ' <span class="elevation-estimated">(estimated)</span>'}</div>
+        <div class="elevation-chart">
+            <canvas id="${containerId}-canvas" class="elevation-canvas"></canvas>
+            <canvas id="${containerId}-overlay" class="elevation-overlay"></canvas>
+            <div class="elevation-tooltip"></div>
+        </div>
+        ${stats ? `
+            <div class="elevation-stats">
+                <span>↗ ${stats.ascent}m ascent</span>
+                <span>↘ ${stats.descent}m descent</span>
+                <span>▲ ${stats.max}m max</span>
+                <span>▼ ${stats.min}m min</span>
+            </div>
+        ` : ''}
+        <div class="elevation-selection"></div>
     `;
 
     const canvas = document.getElementById(`${containerId}-canvas`);
-    if (!canvas) return;
+    if (!canvas) return null;
 
     // HiDPI-aware sizing: match bitmap to actual display pixels
     const dpr = window.devicePixelRatio || 1;
@@ -322,36 +658,16 @@ export function renderElevationProfile(containerId, waypoints, elevation) {
     const chartW = w - padLeft - padRight;
     const chartH = h - padTop - padBottom;
 
-    // Parse elevation string to get total ascent
-    const totalAscent = parseFloat(elevation) || 100;
-
-    // Create a synthetic elevation profile from waypoints
-    const numPts = Math.min(waypoints.length, 200);
-    const step = Math.max(1, Math.floor(waypoints.length / numPts));
-    const pts = [];
-    let totalDist = 0;
-
-    for (let i = 0; i < waypoints.length; i += step) {
-        if (i > 0) {
-            const prev = waypoints[Math.max(0, i - step)];
-            const curr = waypoints[i];
-            totalDist += haversine(prev[0], prev[1], curr[0], curr[1]);
-        }
-        pts.push({ dist: totalDist, idx: i / waypoints.length });
-    }
-
-    // Generate realistic elevation curve
-    const elevations = pts.map(p => {
-        const x = p.idx;
-        return totalAscent * Math.sin(x * Math.PI) * 0.8 + totalAscent * 0.1;
-    });
+    const totalDist = series[series.length - 1].dist || 1;
 
+    // Measured profiles span min→max altitude; estimated ones are relative to the start
+    const elevations = series.map(p => p.ele);
     const maxEl = Math.max(...elevations);
-    const minEl = 0;
+    const minEl = measured ? Math.min(...elevations) : 0;
     const range = maxEl - minEl || 1;
 
     // Helper: data → pixel coords
-    const toX = (i) => padLeft + (i / (elevations.length - 1)) * chartW;
+    const toX = (dist) => padLeft + (dist / totalDist) * chartW;
     const toY = (el) => padTop + chartH - ((el - minEl) / range) * chartH;
 
     // Draw subtle horizontal grid lines
@@ -372,9 +688,9 @@ export function renderElevationProfile(containerId, waypoints, elevation) {
 
     ctx.fillStyle = grad;
     ctx.beginPath();
-    ctx.moveTo(toX(0), padTop + chartH);
-    elevations.forEach((el, i) => ctx.lineTo(toX(i), toY(el)));
-    ctx.lineTo(toX(elevations.length - 1), padTop + chartH);
+    ctx.moveTo(toX(series[0].dist), padTop + chartH);
+    series.forEach(p => ctx.lineTo(toX(p.dist), toY(p.ele)));
+    ctx.lineTo(toX(series[series.length - 1].dist), padTop + chartH);
     ctx.closePath();
     ctx.fill();
 
@@ -383,9 +699,9 @@ export function renderElevationProfile(containerId, waypoints, elevation) {
     ctx.lineWidth = 2;
     ctx.lineJoin = 'round';
     ctx.beginPath();
-    elevations.forEach((el, i) => {
-        if (i === 0) ctx.moveTo(toX(i), toY(el));
-        else ctx.lineTo(toX(i), toY(el));
+    series.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(toX(p.dist), toY(p.ele));
+        else ctx.lineTo(toX(p.dist), toY(p.ele));
     });
     ctx.stroke();
 
@@ -395,25 +711,306 @@ export function renderElevationProfile(containerId, waypoints, elevation) {
     ctx.textBaseline = 'middle';
     ctx.textAlign = 'right';
     ctx.fillText(`${Math.round(maxEl)}m`, padLeft - 6, padTop);
-    ctx.fillText(`${Math.round(maxEl / 2)}m`, padLeft - 6, padTop + chartH / 2);
-    ctx.fillText('0m', padLeft - 6, padTop + chartH);
+    ctx.fillText(`${Math.round((maxEl + minEl) / 2)}m`, padLeft - 6, padTop + chartH / 2);
+    ctx.fillText(`${Math.round(minEl)}m`, padLeft - 6, padTop + chartH);
 
     // Distance label
     ctx.textAlign = 'right';
     ctx.textBaseline = 'top';
-    ctx.fillText(`${(pts[pts.length - 1]?.dist / 1000 || 0).toFixed(1)} km`, padLeft + chartW, padTop + chartH + 6);
+    ctx.fillText(`${(totalDist / 1000).toFixed(1)} km`, padLeft + chartW, padTop + chartH + 6);
 
     ctx.textAlign = 'left';
     ctx.fillText('0 km', padLeft, padTop + chartH + 6);
-}
 
-function haversine(lat1, lon1, lat2, lon2) {
-    const R = 6371000;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    // ── Interaction layer: crosshair, tooltip and section selection ──
+    const overlay = document.getElementById(`${containerId}-overlay`);
+    const tooltip = container.querySelector('.elevation-tooltip');
+    const selectionEl = container.querySelector('.elevation-selection');
+    overlay.width = canvas.width;
+    overlay.height = canvas.height;
+    overlay.style.width = displayW + 'px';
+    overlay.style.height = displayH + 'px';
+    const octx = overlay.getContext('2d');
+    octx.scale(dpr, dpr);
+
+    let hoverPt = null;
+    let selection = null; // { from, to } in metres
+    let dragStart = null;
+    let dragMoved = false;
+
+    const toDist = (x) => Math.min(Math.max((x - padLeft) / chartW, 0), 1) * totalDist;
+    const localX = (e) => e.clientX - overlay.getBoundingClientRect().left;
+
+    function drawOverlay() {
+        octx.clearRect(0, 0, w, h);
+
+        if (selection) {
+            octx.fillStyle = 'rgba(78, 205, 196, 0.18)';
+            octx.fillRect(toX(selection.from), padTop, toX(selection.to) - toX(selection.from), chartH);
+        }
+
+        if (hoverPt) {
+            const x = toX(hoverPt.dist);
+            const y = toY(hoverPt.ele);
+            octx.strokeStyle = 'rgba(228, 236, 245, 0.6)';
+            octx.lineWidth = 1;
+            octx.beginPath();
+            octx.moveTo(x, padTop);
+            octx.lineTo(x, padTop + chartH);
+            octx.stroke();
+
+            octx.fillStyle = '#f0a830';
+            octx.strokeStyle = '#0c1117';
+            octx.lineWidth = 2;
+            octx.beginPath();
+            octx.arc(x, y, 4.5, 0, Math.PI * 2);
+            octx.fill();
+            octx.stroke();
+        }
+    }
+
+    function showHover(pt) {
+        hoverPt = pt;
+        drawOverlay();
+        if (!pt) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        const alt = `${measured ? '' : '≈'}${Math.round(pt.ele)}m`;
+        const grade = measured ? gradientAt(series, pt) : null;
+        tooltip.innerHTML = `${(pt.dist / 1000).toFixed(2)} km · ${alt}${grade !== null ? ` · ${grade >= 0 ? '+' : ''}${Math.round(grade)}%` : ''}`;
+        tooltip.style.display = 'block';
+        const x = toX(pt.dist);
+        const tipW = tooltip.offsetWidth;
+        tooltip.style.left = `${Math.min(Math.max(x - tipW / 2, 0), w - tipW)}px`;
+    }
+
+    function showSelection() {
+        const sec = selection && sectionStats(series, selection.from, selection.to);
+        if (!sec) {
+            selectionEl.style.display = 'none';
+            return null;
+        }
+        const grade = `${sec.gradient >= 0 ? '+' : ''}${sec.gradient.toFixed(1)}%`;
+        selectionEl.innerHTML = `
+            <strong>Section ${(selection.from / 1000).toFixed(2)}–${(selection.to / 1000).toFixed(2)} km:</strong>
+            ${(sec.distance / 1000).toFixed(2)} km
+            ${measured ? ` · ↗ ${sec.ascent}m ascent · ↘ ${sec.descent}m descent · avg ${grade}` : ''}
+        `;
+        selectionEl.style.display = 'block';
+        return sec;
+    }
+
+    overlay.addEventListener('pointerdown', e => {
+        dragStart = toDist(localX(e));
+        dragMoved = false;
+        overlay.setPointerCapture(e.pointerId);
+    });
+
+    overlay.addEventListener('pointermove', e => {
+        const dist = toDist(localX(e));
+        const pt = nearestSeriesPoint(series, 'dist', dist);
+        showHover(pt);
+        if (handlers.onHover) handlers.onHover(pt.idx);
+
+        if (dragStart !== null && Math.abs(dist - dragStart) > totalDist / 200) {
+            dragMoved = true;
+            selection = { from: Math.min(dragStart, dist), to: Math.max(dragStart, dist) };
+            drawOverlay();
+            showSelection();
+        }
+    });
+
+    overlay.addEventListener('pointerup', () => {
+        if (dragStart === null) return;
+        dragStart = null;
+        if (!dragMoved) {
+            // A plain click/tap clears any selection
+            selection = null;
+            drawOverlay();
+            showSelection();
+            if (handlers.onSelect) handlers.onSelect(null);
+            return;
+        }
+        const sec = showSelection();
+        if (handlers.onSelect) handlers.onSelect(sec ? { startIdx: sec.startIdx, endIdx: sec.endIdx } : null);
+    });
+
+    overlay.addEventListener('pointercancel', () => { dragStart = null; });
+
+    overlay.addEventListener('pointerleave', () => {
+        if (dragStart !== null) return;
+        showHover(null);
+        if (handlers.onLeave) handlers.onLeave();
+    });
+
+    return {
+        highlightIndex(idx) {
+            showHover(nearestSeriesPoint(series, 'idx', idx));
+        },
+        clearHighlight() {
+            showHover(null);
+        }
+    };
 }
 
+/**
+ * Several walks' elevation profiles stacked one above another on shared distance
+ * and altitude scales, so lengths and climbs compare at a glance. A crosshair
+ * follows the pointer through every profile at the same distance.
+ * routes: [{ name, waypoints, elevation, color }]
+ */
+export function renderProfileStack(containerId, routes) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const profiles = routes
+        .filter(r => r.waypoints && r.waypoints.length > 1)
+        .map(r => {
+            const measured = hasElevationData(r.waypoints);
+            return { ...r, measured, series: measured ? buildElevationSeries(r.waypoints) : estimateElevationSeries(r.waypoints, r.elevation) };
+        });
+    if (profiles.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    // The longest walk sets the distance axis; estimated profiles start from 0m
+    const maxDist = Math.max(...profiles.map(p => p.series[p.series.length - 1].dist)) || 1;
+    const elevations = profiles.flatMap(p => p.series.map(s => s.ele));
+    const maxEl = Math.max(...elevations);
+    const minEl = profiles.every(p => p.measured) ? Math.min(...elevations) : 0;
+    const range = maxEl - minEl || 1;
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="elevation-label">📈 Elevation Profiles <span class="elevation-estimated">(same scale)</span></div>
+        ${profiles.map(p => `
+            <div class="profile-stack-row">
+                <div class="profile-stack-name">
+                    <span class="compare-swatch" style="background:${p.color}"></span>${p.name}${p.measured ? '' : ' <span class="elevation-estimated">(estimated)</span>'}
+                </div>
+                <canvas class="elevation-canvas"></canvas>
+            </div>
+        `).join('')}
+        <div class="profile-stack-readout"></div>
+    `;
+
+    const canvases = [...container.querySelectorAll('canvas')];
+    const readout = container.querySelector('.profile-stack-readout');
+    const dpr = window.devicePixelRatio || 1;
+    const w = container.clientWidth;
+    const rowH = 80;
+    const axisH = 18; // distance labels under the last profile
+    const padLeft = 44;
+    const padRight = 12;
+    const padTop = 8;
+    const chartW = w - padLeft - padRight;
+    const chartH = rowH - padTop - 4;
+
+    const toX = (dist) => padLeft + (dist / maxDist) * chartW;
+    const toY = (el) => padTop + chartH - ((el - minEl) / range) * chartH;
+    const heightOf = (i) => rowH + (i === profiles.length - 1 ? axisH : 0);
+
+    canvases.forEach((canvas, i) => {
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(heightOf(i) * dpr);
+        canvas.style.width = w + 'px';
+        canvas.style.height = heightOf(i) + 'px';
+    });
+
+    function draw(i, hoverDist) {
+        const { series, color } = profiles[i];
+        const ctx = canvases[i].getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, w, heightOf(i));
+
+        ctx.strokeStyle = 'rgba(141, 162, 184, 0.08)';
+        ctx.lineWidth = 1;
+        [0, 0.5, 1].forEach(g => {
+            ctx.beginPath();
+            ctx.moveTo(padLeft, padTop + g * chartH);
+            ctx.lineTo(padLeft + chartW, padTop + g * chartH);
+            ctx.stroke();
+        });
+
+        const last = series[series.length - 1];
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(toX(series[0].dist), padTop + chartH);
+        series.forEach(p => ctx.lineTo(toX(p.dist), toY(p.ele)));
+        ctx.lineTo(toX(last.dist), padTop + chartH);
+        ctx.closePath();
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        series.forEach((p, j) => {
+            if (j === 0) ctx.moveTo(toX(p.dist), toY(p.ele));
+            else ctx.lineTo(toX(p.dist), toY(p.ele));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#8da2b8';
+        ctx.font = '11px Inter, system-ui, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${Math.round(maxEl)}m`, padLeft - 6, padTop);
+        ctx.fillText(`${Math.round(minEl)}m`, padLeft - 6, padTop + chartH);
+
+        if (i === profiles.length - 1) {
+            ctx.textBaseline = 'top';
+            ctx.fillText(`${(maxDist / 1000).toFixed(1)} km`, padLeft + chartW, rowH + 2);
+            ctx.textAlign = 'center';
+            ctx.fillText(`${(maxDist / 2000).toFixed(1)} km`, padLeft + chartW / 2, rowH + 2);
+            ctx.textAlign = 'left';
+            ctx.fillText('0 km', padLeft, rowH + 2);
+        }
+
+        if (hoverDist == null) return;
+        const x = toX(hoverDist);
+        ctx.strokeStyle = 'rgba(228, 236, 245, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, padTop);
+        ctx.lineTo(x, padTop + chartH);
+        ctx.stroke();
+
+        if (hoverDist > last.dist) return;
+        const pt = nearestSeriesPoint(series, 'dist', hoverDist);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#0c1117';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(toX(pt.dist), toY(pt.ele), 4.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    function drawAll(hoverDist = null) {
+        profiles.forEach((_, i) => draw(i, hoverDist));
+        if (hoverDist == null) {
+            readout.innerHTML = '';
+            return;
+        }
+        readout.innerHTML = `<strong>${(hoverDist / 1000).toFixed(2)} km</strong> ` + profiles.map(p => {
+            const finished = hoverDist > p.series[p.series.length - 1].dist;
+            const alt = finished ? 'finished' : `${p.measured ? '' : '≈'}${Math.round(nearestSeriesPoint(p.series, 'dist', hoverDist).ele)}m`;
+            return `<span><span class="compare-swatch" style="background:${p.color}"></span>${alt}</span>`;
+        }).join(' ');
+    }
+
+    canvases.forEach(canvas => {
+        canvas.addEventListener('pointermove', e => {
+            const x = e.clientX - canvas.getBoundingClientRect().left;
+            drawAll(Math.min(Math.max((x - padLeft) / chartW, 0), 1) * maxDist);
+        });
+        canvas.addEventListener('pointerleave', () => drawAll());
+    });
+
+    drawAll();
+}
@@ -0,0 +1,78 @@
+/* ═══════════════════════════════════════════════════════
+   Route Cache — Routing and isochrone responses kept in IndexedDB between sessions
+   ═══════════════════════════════════════════════════════ */
+
+import { readRoute, writeRoute, countRoutes, clearRoutes } from './walk-db.js';
+
+// Paths change slowly, but ORS updates its OSM data weekly
+const MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 300;
+// 5 decimal places is about a metre — closer points share a route
+const COORD_DECIMALS = 5;
+const STATS_KEY = 'route_cache_stats';
+
+function roundPoints(points) {
+    return points?.map(c => c.map(v => Number(v.toFixed(COORD_DECIMALS))));
+}
+
+/**
+ * Cache key for a request: the endpoint plus the body with coordinates
+ * (routes) or locations (isochrones) rounded
+ */
+export function routeCacheKey(endpoint, body) {
+    return `${endpoint}|${JSON.stringify({ ...body, coordinates: roundPoints(body.coordinates), locations: roundPoints(body.locations) })}`;
+}
+
+function readStats() {
+    try {
+        return { hits: 0, misses: 0, ...JSON.parse(localStorage.getItem(STATS_KEY)) };
+    } catch {
+        return { hits: 0, misses: 0 };
+    }
+}
+
+function countLookup(hit) {
+    const stats = readStats();
+    stats[hit ? 'hits' : 'misses']++;
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+}
+
+/**
+ * Return the cached response for this request, or fetch and cache it.
+ * The cache is best-effort: storage errors fall through to fetching.
+ */
+export async function cachedRequest(endpoint, body, fetcher) {
+    const key = routeCacheKey(endpoint, body);
+
+    try {
+        const entry = await readRoute(key);
+        if (entry && Date.now() - entry.storedAt < MAX_AGE_MS) {
+            countLookup(true);
+            return entry.data;
+        }
+    } catch (err) {
+        console.warn('Route cache unavailable:', err);
+    }
+
+    countLookup(false);
+    const data = await fetcher();
+    writeRoute({ key, storedAt: Date.now(), data }, MAX_ENTRIES, MAX_AGE_MS)
+        .catch(err => console.warn('Route not cached:', err));
+    return data;
+}
+
+/**
+ * { entries, hits, misses } for Settings
+ */
+export async function getRouteCacheStats() {
+    const entries = await countRoutes().catch(() => 0);
+    return { entries, ...readStats() };
+}
+
+/**
+ * Empty the cache and reset its hit/miss counts
+ */
+export async function clearRouteCache() {
+    await clearRoutes();
+    localStorage.removeItem(STATS_KEY);
+}
@@ -0,0 +1,265 @@
+/* ═══════════════════════════════════════════════════════
+   Route Card — Print-ready A4 sheet with a static map
+   ═══════════════════════════════════════════════════════ */
+
+import { formatDuration } from './route-service.js';
+import { estimateWalkTime } from './time-estimate.js';
+import { gradeWalk } from './grading.js';
+import { topoTileUrl, directionLocations, walkTypeIcon, renderElevationProfile } from './map-utils.js';
+
+// Printed map frame on A4 portrait inside 12mm margins
+const MAP_MM = [186, 130];
+// Map scales to choose from — the largest that fits the route wins
+const SCALES = [10000, 15000, 20000, 25000, 40000, 50000, 75000, 100000];
+// Tile resolution aimed for on paper: 8 px/mm ≈ 200 dpi
+const TARGET_PX_PER_MM = 8;
+const MAX_ZOOM = 17; // OpenTopoMap's deepest tiles
+const TILE_SIZE = 256;
+const EARTH_MPP = 156543.03392; // metres per pixel at zoom 0 on the equator
+const SCALE_BAR_STEPS = [100, 200, 250, 500, 1000, 2000, 2500, 5000];
+const ATTRIBUTION = 'Map © OpenTopoMap (CC-BY-SA) · Data © OpenStreetMap contributors';
+
+const ROUTE_COLOR = '#c2185b'; // magenta, as on OS maps — stands out from topo colours
+
+/**
+ * Web Mercator pixel position of a point at a zoom level
+ */
+function project(lat, lon, zoom) {
+    const size = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (lon + 180) / 360 * size,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+    };
+}
+
+function loadTile(z, x, y) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = topoTileUrl(z, x, y);
+    });
+}
+
+/**
+ * Draw the walk on a terrain map at a fixed print scale: tiles, route, car park,
+ * numbered direction markers, scale bar and north arrow.
+ * Resolves to { canvas, scale } — the map is drawn for MAP_MM at 1:scale.
+ */
+export async function renderStaticMap(walk) {
+    const route = (walk.waypoints || []).map(p => [p[0], p[1]]);
+    const steps = directionLocations(walk);
+    const points = [[walk.lat, walk.lon], ...route, ...steps];
+
+    // Ground size of the route (at zoom 0 a pixel is EARTH_MPP·cos(lat) metres)
+    const lats = points.map(p => p[0]);
+    const lons = points.map(p => p[1]);
+    const nw = project(Math.max(...lats), Math.min(...lons), 0);
+    const se = project(Math.min(...lats), Math.max(...lons), 0);
+    const centerLat = (Math.max(...lats) + Math.min(...lats)) / 2;
+    const mpp0 = EARTH_MPP * Math.cos(centerLat * Math.PI / 180);
+    const widthM = (se.x - nw.x) * mpp0 * 1.15;
+    const heightM = (se.y - nw.y) * mpp0 * 1.15;
+
+    const scale = SCALES.find(s => widthM <= MAP_MM[0] * s / 1000 && heightM <= MAP_MM[1] * s / 1000)
+        || SCALES[SCALES.length - 1];
+    const targetMpp = scale / 1000 / TARGET_PX_PER_MM;
+    const zoom = Math.min(MAX_ZOOM, Math.max(1, Math.round(Math.log2(mpp0 / targetMpp))));
+    const mpp = mpp0 / 2 ** zoom;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(MAP_MM[0] * scale / 1000 / mpp);
+    canvas.height = Math.round(MAP_MM[1] * scale / 1000 / mpp);
+    const pxPerMm = canvas.width / MAP_MM[0];
+    const ctx = canvas.getContext('2d');
+
+    // Top-left of the frame in world pixels, centred on the route
+    const center = { x: (nw.x + se.x) / 2 * 2 ** zoom, y: (nw.y + se.y) / 2 * 2 ** zoom };
+    const left = center.x - canvas.width / 2;
+    const top = center.y - canvas.height / 2;
+    const toPx = (lat, lon) => {
+        const p = project(lat, lon, zoom);
+        return [p.x - left, p.y - top];
+    };
+
+    // Tiles
+    ctx.fillStyle = '#f2efe9';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const jobs = [];
+    for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + canvas.width) / TILE_SIZE); tx++) {
+        for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + canvas.height) / TILE_SIZE); ty++) {
+            jobs.push(loadTile(zoom, tx, ty).then(img => {
+                if (img) ctx.drawImage(img, tx * TILE_SIZE - left, ty * TILE_SIZE - top);
+                return Boolean(img);
+            }));
+        }
+    }
+    const loaded = await Promise.all(jobs);
+    if (!loaded.some(Boolean)) throw new Error("Couldn't load the map tiles — check your connection");
+
+    // Route: a pale casing under the line keeps it readable over contours
+    if (route.length > 1) {
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+        [['rgba(255, 255, 255, 0.85)', 1.6], [ROUTE_COLOR, 0.8]].forEach(([color, mm]) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = mm * pxPerMm;
+            ctx.beginPath();
+            route.forEach(([lat, lon], i) => {
+                const [x, y] = toPx(lat, lon);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+    }
+
+    // Car park
+    const [px, py] = toPx(walk.lat, walk.lon);
+    const box = 4.5 * pxPerMm;
+    ctx.fillStyle = '#1565c0';
+    ctx.fillRect(px - box / 2, py - box / 2, box, box);
+    ctx.fillStyle = '#fff';
+    ctx.font = `bold ${3.4 * pxPerMm}px Inter, system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('P', px, py + 0.2 * pxPerMm);
+
+    // Numbered directions, matching the list on the card
+    const r = 2.3 * pxPerMm;
+    ctx.font = `bold ${2.6 * pxPerMm}px Inter, system-ui, sans-serif`;
+    steps.forEach(([lat, lon], i) => {
+        const [x, y] = toPx(lat, lon);
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fillStyle = '#fff';
+        ctx.fill();
+        ctx.lineWidth = 0.35 * pxPerMm;
+        ctx.strokeStyle = ROUTE_COLOR;
+        ctx.stroke();
+        ctx.fillStyle = '#111';
+        ctx.fillText(String(walk.directions[i].step ?? i + 1), x, y + 0.15 * pxPerMm);
+    });
+
+    drawScaleBar(ctx, pxPerMm, mpp, canvas.height);
+    drawNorthArrow(ctx, pxPerMm, canvas.width);
+
+    return { canvas, scale };
+}
+
+/**
+ * Two-segment black and white scale bar, bottom left, up to 40mm long
+ */
+function drawScaleBar(ctx, pxPerMm, mpp, height) {
+    const metresPerMm = mpp * pxPerMm;
+    const metres = [...SCALE_BAR_STEPS].reverse().find(m => m / metresPerMm <= 40) || SCALE_BAR_STEPS[0];
+    const len = metres / mpp;
+    const x = 5 * pxPerMm;
+    const y = height - 6 * pxPerMm;
+    const h = 1.4 * pxPerMm;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x - 2 * pxPerMm, y - 5 * pxPerMm, len + 14 * pxPerMm, h + 7 * pxPerMm);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(x, y, len / 2, h);
+    ctx.strokeStyle = '#111';
+    ctx.lineWidth = 0.25 * pxPerMm;
+    ctx.strokeRect(x, y, len, h);
+
+    ctx.font = `${2.4 * pxPerMm}px Inter, system-ui, sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'center';
+    ctx.fillText('0', x, y - 0.6 * pxPerMm);
+    ctx.fillText(metres >= 1000 ? `${metres / 1000} km` : `${metres} m`, x + len, y - 0.6 * pxPerMm);
+}
+
+function drawNorthArrow(ctx, pxPerMm, width) {
+    const x = width - 8 * pxPerMm;
+    const y = 6 * pxPerMm;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.beginPath();
+    ctx.arc(x, y + 2 * pxPerMm, 5 * pxPerMm, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.moveTo(x, y - 1.5 * pxPerMm);
+    ctx.lineTo(x + 2 * pxPerMm, y + 3.5 * pxPerMm);
+    ctx.lineTo(x, y + 2.5 * pxPerMm);
+    ctx.lineTo(x - 2 * pxPerMm, y + 3.5 * pxPerMm);
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = `bold ${2.6 * pxPerMm}px Inter, system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillText('N', x, y + 3.8 * pxPerMm);
+}
+
+/**
+ * Build the route card for a walk and open the browser's print dialog
+ * (where it can also be saved as a PDF). Rejects if the map can't be drawn.
+ */
+export async function printRouteCard(walk) {
+    const { canvas, scale } = await renderStaticMap(walk);
+    const times = estimateWalkTime(walk);
+    const graded = gradeWalk(walk);
+    const isCircular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    const finish = times ? formatDuration(times.yours) : walk.time;
+
+    const card = document.getElementById('print-card');
+    card.innerHTML = `
+        <header class="print-card-header">
+            <h1>${walk.name}</h1>
+            <div class="print-card-sub">${walkTypeIcon(walk.walkType)} ${walk.walkType || 'walk'} · ${walk.difficulty} (graded ${graded.grade}) · ${isCircular ? 'Circular' : 'Linear'}</div>
+        </header>
+        <div class="print-card-stats">
+            <div><span>Distance</span>${walk.distance}</div>
+            <div><span>Book time</span>${times ? formatDuration(times.book) : walk.time}</div>
+            <div><span>Your time</span>${finish}</div>
+            <div><span>Ascent</span>${walk.elevation || 'N/A'}</div>
+            <div><span>Terrain</span>${walk.terrain}</div>
+            <div><span>Start</span>${walk.start}</div>
+        </div>
+        <div class="print-card-map"></div>
+        <div class="print-card-caption">Scale 1:${scale.toLocaleString('en-GB')} when printed on A4 at 100% · North is up · ${ATTRIBUTION}</div>
+        <div id="print-card-profile" class="print-card-profile"></div>
+
+        ${walk.directions?.length ? `
+        <section class="print-card-directions">
+            <h2>Directions</h2>
+            <ol>
+                ${walk.directions.map((d, i) => `
+                    <li>
+                        <span class="print-card-step">${d.step ?? i + 1}</span>
+                        <div><strong>${d.landmark}</strong> ${d.instruction}</div>
+                    </li>
+                `).join('')}
+            </ol>
+        </section>` : ''}
+
+        <section class="print-card-info">
+            <h2>Parking</h2>
+            <p>${walk.parkingDetail || walk.start}</p>
+            <p>Car park: ${walk.lat.toFixed(5)}, ${walk.lon.toFixed(5)}</p>
+        </section>
+
+        <section class="print-card-info print-card-emergency">
+            <h2>In an Emergency</h2>
+            <p><strong>Call 999 or 112 and ask for Police, then Mountain Rescue.</strong> Give the walk name, your last
+                numbered point and what's happened.</p>
+            <p>No signal for a call? Texts get through more often — but only if your phone is registered: text
+                "register" to 999 before you set off.</p>
+            <p>Leave your route and expected return time with someone (your time is about ${finish} plus stops),
+                and check the Lake District fell-top forecast before you go.</p>
+        </section>
+
+        <footer class="print-card-footer">Trail Mapper Pro · printed ${new Date().toLocaleDateString('en-GB')}</footer>
+    `;
+    card.querySelector('.print-card-map').appendChild(canvas);
+    // Laid out off-screen, so the profile can measure its width
+    renderElevationProfile('print-card-profile', walk.waypoints, walk.elevation);
+
+    window.addEventListener('afterprint', () => { card.innerHTML = ''; }, { once: true });
+    window.print();
+}
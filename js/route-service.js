@@ -1,9 +1,16 @@
 /* ═══════════════════════════════════════════════════════
-   Route Service — OpenRouteService foot-hiking API
+   Route Service — Walking routes from the selected routing engine
    ═══════════════════════════════════════════════════════ */
 
-const PROXY_ENDPOINT = '/api/ors';
-const DIRECT_ENDPOINT = 'https://api.openrouteservice.org/v2/directions/foot-hiking/geojson';
+import { SELF_HOSTED_PROVIDERS, ROUTE_DEFAULTS, routeOptions, orsRouteBody, orsRouteResult } from './routing-providers.js';
+import { cachedRequest } from './route-cache.js';
+import { bearing, destinationPoint } from './geo.js';
+
+// ORS services: the serverless proxy (production) and the direct API (local dev)
+const ORS_SERVICES = {
+    directions: { proxy: '/api/ors', direct: 'https://api.openrouteservice.org/v2/directions/foot-hiking/geojson' },
+    isochrones: { proxy: '/api/isochrones', direct: 'https://api.openrouteservice.org/v2/isochrones/foot-hiking' }
+};
 
 /**
  * Get ORS API key — checks localStorage first, then Vite env var for local dev
@@ -20,12 +27,21 @@ export function setORSKey(key) {
 }
 
 /**
- * Make an ORS API request — tries proxy (production), falls back to direct (local dev)
+ * Make an ORS API request, answered from the route cache when the same
+ * coordinates and options were routed recently
+ */
+async function callORS(requestBody, service = 'directions') {
+    const endpoints = ORS_SERVICES[service];
+    return cachedRequest(endpoints.direct, requestBody, () => requestORS(requestBody, endpoints));
+}
+
+/**
+ * Send an ORS request — tries proxy (production), falls back to direct (local dev)
  */
-async function callORS(requestBody) {
+async function requestORS(requestBody, endpoints) {
     // Try serverless proxy first
     try {
-        const proxyRes = await fetch(PROXY_ENDPOINT, {
+        const proxyRes = await fetch(endpoints.proxy, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(requestBody)
@@ -48,7 +64,7 @@ async function callORS(requestBody) {
         throw new Error('No ORS API key available. Add one in Settings or set VITE_ORS_KEY in .env.local');
     }
 
-    const response = await fetch(DIRECT_ENDPOINT, {
+    const response = await fetch(endpoints.direct, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
@@ -65,102 +81,205 @@ async function callORS(requestBody) {
     return await response.json();
 }
 
+
 /**
- * Fetch a walking route between two points using ORS foot-hiking profile
- * Returns { waypoints: [[lat,lon],...], distance: meters, duration: seconds }
+ * ORS foot-hiking adapter (server proxy or direct API).
+ * extraOptions are merged into the request's options (e.g. round_trip).
  */
-export async function fetchHikingRoute(startLat, startLon, endLat, endLon, viaPoints = []) {
-    const coordinates = [
-        [startLon, startLat],
-        ...viaPoints.map(p => [p[1], p[0]]),
-        [endLon, endLat]
-    ];
+async function orsRoute(points, options, server, extraOptions = {}) {
+    return orsRouteResult(await callORS(orsRouteBody(points, options, extraOptions)));
+}
 
+/**
+ * ORS isochrones: one polygon per range in seconds, as [{ seconds, geometry }]
+ */
+async function orsIsochrones(lat, lon, ranges, options) {
     const data = await callORS({
-        coordinates,
-        radiuses: coordinates.map(() => 800),
-        options: { avoid_features: ['ferries', 'fords'], profile_params: { weightings: { steepness_difficulty: 2 } } },
-        preference: 'recommended',
-        instructions: true,
-        elevation: true
-    });
+        locations: [[lon, lat]],
+        range: ranges,
+        range_type: 'time',
+        options: { avoid_features: options.avoidFeatures }
+    }, 'isochrones');
+    return data.features.map(f => ({ seconds: f.properties.value, geometry: f.geometry }));
+}
 
-    const feature = data.features[0];
-    const coords = feature.geometry.coordinates;
-    const summary = feature.properties.summary;
+export const ROUTING_PROVIDERS = [
+    { id: 'ors', name: 'OpenRouteService', profile: null, route: orsRoute, isochrones: orsIsochrones },
+    ...SELF_HOSTED_PROVIDERS
+];
 
+/**
+ * The selected routing engine (or a given provider's saved server) as
+ * { provider, url, profile }. url and profile only apply to self-hosted
+ * engines; an empty profile means the provider's default.
+ */
+export function getRoutingEngine(provider = localStorage.getItem('routing_provider') || 'ors') {
     return {
-        waypoints: coords.map(c => [c[1], c[0]]),
-        distance: summary.distance,
-        duration: summary.duration,
-        instructions: feature.properties.segments?.[0]?.steps || []
+        provider,
+        url: localStorage.getItem(`routing_url_${provider}`) || '',
+        profile: localStorage.getItem(`routing_profile_${provider}`) || ''
     };
 }
 
 /**
- * Fetch a circular hiking route
- * Routes: car park → summit/feature → car park via real hiking trails
+ * Select a routing engine, remembering its server URL and profile
  */
-export async function fetchCircularRoute(startLat, startLon, destLat, destLon) {
-    const coordinates = [
-        [startLon, startLat],
-        [destLon, destLat],
-        [startLon, startLat]
-    ];
+export function setRoutingEngine({ provider, url = '', profile = '' }) {
+    localStorage.setItem('routing_provider', provider);
+    if (provider === 'ors') return;
+    localStorage.setItem(`routing_url_${provider}`, url);
+    localStorage.setItem(`routing_profile_${provider}`, profile);
+}
 
-    const data = await callORS({
-        coordinates,
-        radiuses: coordinates.map(() => 800),
-        options: { avoid_features: ['ferries', 'fords'], profile_params: { weightings: { steepness_difficulty: 2 } } },
-        preference: 'recommended',
-        instructions: true,
-        elevation: true
+/**
+ * Route through [[lat, lon], ...] points with an engine (the selected one by default)
+ * and route options (the defaults unless given)
+ * Returns { waypoints, distance, duration, ascent, descent, instructions, legs }
+ */
+async function routeThrough(points, engine = getRoutingEngine(), options = ROUTE_DEFAULTS) {
+    const provider = ROUTING_PROVIDERS.find(p => p.id === engine.provider);
+    if (!provider) throw new Error(`Unknown routing engine "${engine.provider}"`);
+    if (provider.id !== 'ors' && !engine.url) {
+        throw new Error(`No ${provider.name} server URL set. Add one in Settings.`);
+    }
+    return provider.route(points, options, {
+        url: engine.url.replace(/\/+$/, ''),
+        profile: engine.profile || provider.profile
     });
+}
+
+/**
+ * Check an engine can route a short walk (Windermere station to Orrest Head).
+ * Resolves to the route distance in meters.
+ */
+export async function testRoutingEngine(engine) {
+    const route = await routeThrough([[54.3797, -2.9047], [54.3860, -2.9076]], engine);
+    return route.distance;
+}
 
-    const feature = data.features[0];
-    const coords = feature.geometry.coordinates;
-    const summary = feature.properties.summary;
+/**
+ * Fetch a walking route between two points with the selected routing engine
+ * Returns { waypoints: [[lat,lon,ele],...], distance: meters, duration: seconds, ascent, descent, instructions }
+ */
+export async function fetchHikingRoute(startLat, startLon, endLat, endLon, viaPoints = []) {
+    return routeThrough([[startLat, startLon], ...viaPoints, [endLat, endLon]]);
+}
 
-    return {
-        waypoints: coords.map(c => [c[1], c[0]]),
-        distance: summary.distance,
-        duration: summary.duration,
-        instructions: feature.properties.segments?.flatMap(s => s.steps) || []
-    };
+/**
+ * Compass bearing from the start to the middle of a loop — which way it heads
+ */
+function loopBearing(lat, lon, waypoints) {
+    const mid = waypoints.reduce((sum, p) => [sum[0] + p[0], sum[1] + p[1]], [0, 0]).map(v => v / waypoints.length);
+    return bearing(lat, lon, mid[0], mid[1]);
 }
 
+function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+// Paths wind, so a loop drawn on a circle comes back about this much longer
+const LOOP_WIGGLE = 1.25;
+
 /**
- * Fetch a multi-waypoint hiking route
- * Routes through an array of [lat, lon] points using ORS foot-hiking
- * For circular walks: include the start point as the last waypoint
+ * Engines without a round-trip mode get a loop routed through three points on a
+ * circle that passes through the start and is centred out along the heading
  */
-export async function fetchMultiWaypointRoute(waypointArray) {
-    if (!waypointArray || waypointArray.length < 2) {
-        throw new Error('Need at least 2 waypoints');
+function loopViaPoints(lat, lon, length, heading) {
+    const radius = length / (2 * Math.PI * LOOP_WIGGLE);
+    const [cLat, cLon] = destinationPoint(lat, lon, heading, radius);
+    // The start sits at heading + 180° seen from the centre; go round clockwise from there
+    return [90, 180, 270].map(turn => destinationPoint(cLat, cLon, (heading + 180 + turn) % 360, radius));
+}
+
+/**
+ * Fetch several candidate circular walks of about `length` meters from a start point.
+ * ORS uses its round_trip mode with a different seed per candidate; other engines
+ * route through points on a circle. With a compass `direction` (degrees) the
+ * candidates that head most that way are kept. `routeOptions` overrides ROUTE_DEFAULTS.
+ * Resolves to [{ waypoints, distance, duration, ascent, descent, instructions, legs, bearing }],
+ * best match first; rejects only when every candidate failed.
+ */
+export async function fetchRoundTrips(lat, lon, length, { direction = null, count = 3, routeOptions: overrides = {} } = {}) {
+    const engine = getRoutingEngine();
+    const options = routeOptions(overrides);
+    const requests = [];
+
+    if (engine.provider === 'ors') {
+        // Ask for a couple of spares when a direction has to be picked from them
+        const tries = direction === null ? count : count + 2;
+        for (let seed = 0; seed < tries; seed++) {
+            requests.push(orsRoute([[lat, lon]], options, null, { round_trip: { length, points: 5, seed } }));
+        }
+    } else {
+        for (let i = 0; i < count; i++) {
+            const heading = direction === null
+                ? (i * 360) / count
+                : direction + (i - (count - 1) / 2) * 40;
+            requests.push(routeThrough([[lat, lon], ...loopViaPoints(lat, lon, length, (heading + 360) % 360), [lat, lon]], engine, options));
+        }
     }
 
-    // Convert [lat, lon] to [lon, lat] for ORS
-    const coordinates = waypointArray.map(p => [p[1], p[0]]);
+    const results = await Promise.allSettled(requests);
+    const loops = results.filter(r => r.status === 'fulfilled').map(r => ({
+        ...r.value,
+        bearing: loopBearing(lat, lon, r.value.waypoints)
+    }));
+    if (loops.length === 0) throw results[0].reason;
 
-    const data = await callORS({
-        coordinates,
-        radiuses: coordinates.map(() => 800),
-        options: { avoid_features: ['ferries', 'fords'], profile_params: { weightings: { steepness_difficulty: 2 } } },
-        preference: 'recommended',
-        instructions: true,
-        elevation: true
-    });
+    if (direction !== null) loops.sort((a, b) => angleBetween(a.bearing, direction) - angleBetween(b.bearing, direction));
+    return loops.slice(0, count);
+}
 
-    const feature = data.features[0];
-    const coords = feature.geometry.coordinates;
-    const summary = feature.properties.summary;
+/**
+ * Fetch one circular walk of about `length` meters from a start point
+ * (the best of the round-trip candidates)
+ */
+export async function fetchRoundTrip(lat, lon, length, options = {}) {
+    const [loop] = await fetchRoundTrips(lat, lon, length, { ...options, count: 1 });
+    return loop;
+}
 
-    return {
-        waypoints: coords.map(c => [c[1], c[0]]),
-        distance: summary.distance,
-        duration: summary.duration,
-        instructions: feature.properties.segments?.flatMap(s => s.steps) || []
-    };
+// Walking times the reachability overlay shows, in hours
+export const REACH_HOURS = [1, 2, 3];
+
+/**
+ * Areas reachable on foot from a point within each number of hours, from the
+ * selected routing engine. Resolves to [{ hours, geometry }] (GeoJSON Polygon or
+ * MultiPolygon), shortest time first; an area the engine refused has geometry null
+ * and an error message.
+ */
+export async function fetchIsochrones(lat, lon, hours = REACH_HOURS) {
+    const engine = getRoutingEngine();
+    const provider = ROUTING_PROVIDERS.find(p => p.id === engine.provider);
+    if (!provider?.isochrones) {
+        throw new Error(`${provider?.name || 'This engine'} can't work out walking areas — choose another routing engine in Settings.`);
+    }
+    if (provider.id !== 'ors' && !engine.url) {
+        throw new Error(`No ${provider.name} server URL set. Add one in Settings.`);
+    }
+
+    const areas = await provider.isochrones(lat, lon, hours.map(h => h * 3600), ROUTE_DEFAULTS, {
+        url: engine.url.replace(/\/+$/, ''),
+        profile: engine.profile || provider.profile
+    });
+    return areas
+        .map(a => ({ hours: a.seconds / 3600, geometry: a.geometry, error: a.error || null }))
+        .sort((a, b) => a.hours - b.hours);
+}
+
+/**
+ * Fetch a multi-waypoint hiking route
+ * Routes through an array of [lat, lon] points with the selected routing engine
+ * For circular walks: include the start point as the last waypoint
+ * Also returns legs: [{ waypoints, distance, duration, ascent, descent, instructions }], one per consecutive pair
+ * Options (avoided features and areas, steepness, preference, snap radius) override ROUTE_DEFAULTS
+ */
+export async function fetchMultiWaypointRoute(waypointArray, options = {}) {
+    if (!waypointArray || waypointArray.length < 2) {
+        throw new Error('Need at least 2 waypoints');
+    }
+    return routeThrough(waypointArray, undefined, routeOptions(options));
 }
 
 /**
@@ -198,3 +317,46 @@ export function formatDuration(seconds) {
     }
     return `${Math.round(seconds / 60)} mins`;
 }
+
+/**
+ * Parse a free-text distance ("3.5 km", "800 m", "2 miles") into meters
+ * Returns 0 if the text has no number
+ */
+export function parseDistance(text) {
+    const match = String(text || '').match(/([\d.]+)\s*(km|kilomet\w*|mi\w*|m\b|met\w*)?/i);
+    if (!match) return 0;
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || 'km').toLowerCase();
+    if (unit.startsWith('mi')) return value * 1609.34;
+    if (unit === 'm' || unit.startsWith('met')) return value;
+    return value * 1000;
+}
+
+/**
+ * Parse a free-text duration ("1 hour 15 mins", "1.5 hours", "45 minutes", "2h30", "1:30")
+ * into seconds. Returns 0 if the text has no number
+ */
+export function parseDuration(text) {
+    const str = String(text || '').toLowerCase();
+    const clock = str.match(/(\d+):(\d{2})/);
+    if (clock) return parseInt(clock[1], 10) * 3600 + parseInt(clock[2], 10) * 60;
+
+    let seconds = 0;
+    let matched = false;
+    for (const [, value, unit] of str.matchAll(/([\d.]+)\s*(h(?:ou)?rs?|h|m(?:in(?:ute)?s?)?)?/g)) {
+        const n = parseFloat(value);
+        if (isNaN(n)) continue;
+        // A bare number after hours ("2h30") is minutes; on its own it's hours
+        const isHours = unit ? unit.startsWith('h') : !matched;
+        seconds += n * (isHours ? 3600 : 60);
+        matched = true;
+    }
+    return Math.round(seconds);
+}
+
+/**
+ * Parse a free-text elevation ("238m", "N/A") into meters of ascent
+ */
+export function parseElevation(text) {
+    return parseFloat(text) || 0;
+}
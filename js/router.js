@@ -0,0 +1,85 @@
+/* ═══════════════════════════════════════════════════════
+   Router — Hash routes (#/library, #/walk/<id>, ...) and history
+   ═══════════════════════════════════════════════════════ */
+
+let onRoute = () => {};
+// Position in this tab's in-app history, so "back" knows whether there's an app page to return to
+let historyIndex = 0;
+
+/**
+ * Parse a hash like '#/walk/catbells-4cef56?x=1' into
+ * { path: '/walk/catbells-4cef56', view: 'walk', id: 'catbells-4cef56', params }
+ */
+export function parseRoute(hash = location.hash) {
+    const [rawPath, query = ''] = hash.replace(/^#/, '').split('?');
+    const path = rawPath && rawPath !== '/' ? rawPath : '/library';
+    const [view, id = null] = path.replace(/^\//, '').split('/').map(decodeURIComponent);
+    return { path, view, id, params: new URLSearchParams(query) };
+}
+
+/**
+ * The route the app is showing
+ */
+export function currentRoute() {
+    return parseRoute();
+}
+
+function hrefFor(path) {
+    const url = new URL(location.href);
+    url.hash = path;
+    return url.href;
+}
+
+/**
+ * Go to a route: push a history entry (or replace the current one) and show it.
+ * Navigating to the route already shown does nothing.
+ */
+export function navigate(path, { replace = false } = {}) {
+    if (hrefFor(path) === location.href) return;
+    if (replace) {
+        history.replaceState({ appIndex: historyIndex }, '', hrefFor(path));
+    } else {
+        historyIndex++;
+        history.pushState({ appIndex: historyIndex }, '', hrefFor(path));
+    }
+    onRoute(currentRoute());
+}
+
+/**
+ * Rewrite the current route's query string (e.g. library filters) without a new
+ * history entry or re-routing
+ */
+export function updateQuery(params) {
+    const { path } = currentRoute();
+    const query = params.toString();
+    const href = hrefFor(query ? `${path}?${query}` : path);
+    if (href !== location.href) history.replaceState(history.state, '', href);
+}
+
+/**
+ * Behave like the browser back button when the previous page is part of the app;
+ * on a deep link with nothing to go back to, replace it with `fallback`
+ */
+export function goBack(fallback = '/library') {
+    if (historyIndex > 0) history.back();
+    else navigate(fallback, { replace: true });
+}
+
+/**
+ * Start routing: show the route in the URL now, then follow back/forward and
+ * hand-edited hashes
+ */
+export function startRouter(handler) {
+    onRoute = handler;
+    historyIndex = history.state?.appIndex ?? 0;
+    history.replaceState({ appIndex: historyIndex }, '', location.href);
+
+    window.addEventListener('popstate', (e) => {
+        // A hash typed into the address bar arrives without state — it's a new entry
+        historyIndex = e.state?.appIndex ?? historyIndex + 1;
+        if (!e.state) history.replaceState({ appIndex: historyIndex }, '', location.href);
+        onRoute(currentRoute());
+    });
+
+    onRoute(currentRoute());
+}
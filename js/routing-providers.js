@@ -0,0 +1,472 @@
+/* ═══════════════════════════════════════════════════════
+   Routing Providers — Route options and the adapters for each routing engine
+   ═══════════════════════════════════════════════════════ */
+
+import { pathLength } from './geo.js';
+import { computeElevationStats } from './map-utils.js';
+
+/*
+ * Every adapter takes [[lat, lon], ...] points, the route options
+ * ({ radius, avoidFeatures, steepness, preference, avoidAreas }) and the server
+ * ({ url, profile }), and resolves to the same shape as the ORS adapter:
+ * { waypoints, distance, duration, ascent, descent, instructions, legs }
+ * with distances in meters, durations in seconds and instructions as
+ * [{ instruction, distance, duration, name }].
+ *
+ * Engines with an isochrone service also take (lat, lon, ranges in seconds,
+ * options, server) and resolve to [{ seconds, geometry }] with GeoJSON geometry.
+ * A range the server refuses while others succeed comes back as
+ * { seconds, geometry: null, error } so the rest can still be used.
+ *
+ * Nothing here touches the DOM or browser storage: scripts/audit-v2.cjs imports
+ * this module too, so the audit routes walks exactly as the app does.
+ */
+
+/**
+ * POST/GET a self-hosted engine, turning its error body into a readable message
+ */
+async function callServer(name, url, init) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (err) {
+        throw new Error(`${name} server unreachable at ${new URL(url).origin} — is it running and allowing CORS?`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const message = data?.message || data?.error || data?.code || response.statusText;
+        throw new Error(`${name} error (${response.status}): ${message}`);
+    }
+    return data;
+}
+
+/**
+ * Geometry index of each input point, found by walking forward through the route
+ * (first exact match, else the nearest), so out-and-back routes split in order
+ */
+function inputIndices(waypoints, snapped) {
+    let from = 0;
+    return snapped.map(([lat, lon], i) => {
+        if (i === 0) return 0;
+        if (i === snapped.length - 1) return waypoints.length - 1;
+        let best = from;
+        let bestDist = Infinity;
+        for (let j = from; j < waypoints.length; j++) {
+            const d = (waypoints[j][0] - lat) ** 2 + (waypoints[j][1] - lon) ** 2;
+            if (d < bestDist) {
+                best = j;
+                bestDist = d;
+            }
+            if (d < 1e-12) break;
+        }
+        from = best;
+        return best;
+    });
+}
+
+/**
+ * Ascent/descent of a stretch of route, or nulls when it carries no elevation
+ */
+function climb(waypoints) {
+    const stats = computeElevationStats(waypoints);
+    return { ascent: stats ? stats.ascent : null, descent: stats ? stats.descent : null };
+}
+
+/**
+ * Avoid areas as closed [lon, lat] rings
+ */
+function avoidRings(areas) {
+    return (areas || []).map(ring => [...ring, ring[0]].map(p => [p[1], p[0]]));
+}
+
+/* ── Route options ────────────────────────────────────── */
+
+// Walking defaults every engine is asked for: snap within 800m, no ferries
+// or fords, amateur hill tolerance (ORS steepness 0–3), recommended paths and
+// no avoid areas. The Creator lets a walk override any of them (see routeOptions).
+export const ROUTE_DEFAULTS = {
+    radius: 800,
+    avoidFeatures: ['ferries', 'fords'],
+    steepness: 2,
+    preference: 'recommended',
+    avoidAreas: [] // [[[lat, lon], ...], ...] — open rings the route must not cross
+};
+
+/**
+ * Complete route options: ROUTE_DEFAULTS with a walk's saved overrides on top
+ */
+export function routeOptions(overrides = {}) {
+    return { ...ROUTE_DEFAULTS, ...overrides };
+}
+
+/* ── OpenRouteService ─────────────────────────────────── */
+
+/*
+ * ORS is called through the app's proxy and route cache (route-service.js) or
+ * with the audit script's key, so only its request body and response are built here
+ */
+
+/**
+ * ORS foot-hiking directions body. extraOptions are merged into the
+ * request's options (e.g. round_trip).
+ */
+export function orsRouteBody(points, options, extraOptions = {}) {
+    const rings = avoidRings(options.avoidAreas);
+    return {
+        // Convert [lat, lon] to [lon, lat] for ORS
+        coordinates: points.map(p => [p[1], p[0]]),
+        radiuses: points.map(() => options.radius),
+        options: {
+            avoid_features: options.avoidFeatures.length ? options.avoidFeatures : undefined,
+            avoid_polygons: rings.length ? { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) } : undefined,
+            profile_params: { weightings: { steepness_difficulty: options.steepness } },
+            ...extraOptions
+        },
+        preference: options.preference,
+        instructions: true,
+        elevation: true
+    };
+}
+
+/**
+ * Convert ORS [lon, lat, ele] coordinates to [lat, lon, ele] waypoints
+ * (elevation is only present when the request asked for it)
+ */
+function toWaypoints(coords) {
+    return coords.map(c => c.length > 2 ? [c[1], c[0], c[2]] : [c[1], c[0]]);
+}
+
+/**
+ * ORS steps → the normalised { instruction, distance, duration, name }
+ */
+function toInstructions(steps) {
+    return (steps || []).map(s => ({ instruction: s.instruction, distance: s.distance, duration: s.duration, name: s.name && s.name !== '-' ? s.name : '' }));
+}
+
+/**
+ * Split a multi-waypoint ORS feature into one leg per pair of input points,
+ * using way_points (geometry index of each input point) and per-segment summaries
+ */
+function splitLegs(feature, waypoints) {
+    const wayPoints = feature.properties.way_points || [];
+    const segments = feature.properties.segments || [];
+    return segments.map((seg, i) => ({
+        waypoints: waypoints.slice(wayPoints[i], wayPoints[i + 1] + 1),
+        distance: seg.distance,
+        duration: seg.duration,
+        ascent: seg.ascent ?? null,
+        descent: seg.descent ?? null,
+        instructions: toInstructions(seg.steps)
+    }));
+}
+
+
+/**
+ * Normalise an ORS directions response
+ */
+export function orsRouteResult(data) {
+    const feature = data.features[0];
+    const summary = feature.properties.summary;
+    const waypoints = toWaypoints(feature.geometry.coordinates);
+    const legs = splitLegs(feature, waypoints);
+
+    return {
+        waypoints,
+        distance: summary.distance,
+        duration: summary.duration,
+        ascent: feature.properties.ascent ?? null,
+        descent: feature.properties.descent ?? null,
+        instructions: legs.flatMap(l => l.instructions),
+        legs
+    };
+}
+
+/* ── OSRM ─────────────────────────────────────────────── */
+
+// OSRM only returns maneuver types, so instructions are worded here
+const OSRM_VERBS = {
+    depart: 'Head off',
+    arrive: 'Arrive',
+    continue: 'Continue',
+    'new name': 'Continue',
+    fork: 'Keep',
+    merge: 'Join',
+    roundabout: 'Go round the roundabout',
+    rotary: 'Go round the roundabout'
+};
+
+function osrmInstruction(step) {
+    const { type, modifier } = step.maneuver;
+    const verb = OSRM_VERBS[type] || 'Turn';
+    const direction = modifier && type !== 'depart' && type !== 'arrive' ? ` ${modifier}` : '';
+    const name = step.name && type !== 'arrive' ? ` on ${step.name}` : '';
+    return `${verb}${direction}${name}`;
+}
+
+/**
+ * OSRM's walking cost lives in the server's profile (foot.lua by default), so the
+ * only per-request option is how far each point may snap. It can't route around
+ * an area, so avoid areas are refused rather than quietly crossed.
+ */
+async function osrmRoute(points, options, { url, profile }) {
+    if (options.avoidAreas?.length) {
+        throw new Error('OSRM can\'t route around avoid areas — remove them or choose another routing engine in Settings.');
+    }
+    const coords = points.map(p => `${p[1]},${p[0]}`).join(';');
+    const params = new URLSearchParams({
+        overview: 'full',
+        geometries: 'geojson',
+        steps: 'true',
+        radiuses: points.map(() => options.radius).join(';')
+    });
+    const data = await callServer('OSRM', `${url}/route/v1/${profile}/${coords}?${params}`);
+    if (data.code !== 'Ok' || !data.routes?.length) throw new Error(`OSRM found no route (${data.code})`);
+
+    const route = data.routes[0];
+    const waypoints = route.geometry.coordinates.map(c => [c[1], c[0]]);
+    const indices = inputIndices(waypoints, data.waypoints.map(w => [w.location[1], w.location[0]]));
+    const legs = route.legs.map((leg, i) => ({
+        waypoints: waypoints.slice(indices[i], indices[i + 1] + 1),
+        distance: leg.distance,
+        duration: leg.duration,
+        ascent: null,
+        descent: null,
+        instructions: leg.steps.map(s => ({ instruction: osrmInstruction(s), distance: s.distance, duration: s.duration, name: s.name || '' }))
+    }));
+
+    return {
+        waypoints,
+        distance: route.distance,
+        duration: route.duration,
+        ascent: null,
+        descent: null,
+        instructions: legs.flatMap(l => l.instructions),
+        legs
+    };
+}
+
+/* ── GraphHopper ──────────────────────────────────────── */
+
+// Our avoid_features names → GraphHopper snap_preventions
+const GRAPHHOPPER_AVOID = { ferries: 'ferry', fords: 'ford' };
+
+/**
+ * Per-request custom model that blocks avoid areas and (nearly) rules out steps,
+ * or null when neither is wanted
+ */
+function graphHopperModel(options) {
+    const rings = avoidRings(options.avoidAreas);
+    const priority = rings.map((_, i) => ({ if: `in_avoid${i}`, multiply_by: '0' }));
+    if (options.avoidFeatures.includes('steps')) priority.push({ if: 'road_class == STEPS', multiply_by: '0.05' });
+    if (priority.length === 0) return null;
+
+    return {
+        priority,
+        areas: {
+            type: 'FeatureCollection',
+            features: rings.map((ring, i) => ({ type: 'Feature', id: `avoid${i}`, properties: {}, geometry: { type: 'Polygon', coordinates: [ring] } }))
+        }
+    };
+}
+
+/**
+ * GraphHopper's hike profile already favours footpaths and reads sac_scale, so
+ * steepness and preference are left to the profile; avoided features stop points
+ * snapping onto them, and avoid areas and steps go in a custom model (which needs
+ * the flexible, non-CH mode)
+ */
+async function graphHopperRoute(points, options, { url, profile }) {
+    const customModel = graphHopperModel(options);
+    const data = await callServer('GraphHopper', `${url}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            points: points.map(p => [p[1], p[0]]),
+            profile,
+            points_encoded: false,
+            elevation: true,
+            instructions: true,
+            locale: 'en',
+            snap_preventions: options.avoidFeatures.map(f => GRAPHHOPPER_AVOID[f]).filter(Boolean),
+            ...(customModel && { custom_model: customModel, 'ch.disable': true })
+        })
+    });
+    if (!data.paths?.length) throw new Error('GraphHopper found no route');
+
+    const path = data.paths[0];
+    const waypoints = path.points.coordinates.map(c => c.length > 2 ? [c[1], c[0], c[2]] : [c[1], c[0]]);
+    const steps = path.instructions || [];
+    const instructions = steps.map(s => ({ instruction: s.text, distance: s.distance, duration: s.time / 1000, name: s.street_name || '' }));
+    const indices = inputIndices(waypoints, path.snapped_waypoints.coordinates.map(c => [c[1], c[0]]));
+
+    // GraphHopper has no per-leg summary: measure each leg and share the time by distance
+    const legs = indices.slice(1).map((end, i) => {
+        const legPoints = waypoints.slice(indices[i], end + 1);
+        const distance = pathLength(legPoints);
+        return {
+            waypoints: legPoints,
+            distance,
+            duration: path.distance ? (path.time / 1000) * (distance / path.distance) : 0,
+            ...climb(legPoints),
+            instructions: instructions.filter((s, j) => {
+                const at = steps[j].interval[0];
+                return at >= indices[i] && (at < end || end === waypoints.length - 1);
+            })
+        };
+    });
+
+    return {
+        waypoints,
+        distance: path.distance,
+        duration: path.time / 1000,
+        ascent: path.ascend ?? null,
+        descent: path.descend ?? null,
+        instructions,
+        legs
+    };
+}
+
+/**
+ * One GraphHopper isochrone request per range (its buckets only split a range evenly)
+ */
+async function graphHopperIsochrones(lat, lon, ranges, options, { url, profile }) {
+    return Promise.all(ranges.map(async seconds => {
+        const params = new URLSearchParams({ point: `${lat},${lon}`, profile, time_limit: seconds });
+        const data = await callServer('GraphHopper', `${url}/isochrone?${params}`);
+        if (!data.polygons?.length) throw new Error('GraphHopper returned no isochrone');
+        return { seconds, geometry: data.polygons[0].geometry };
+    }));
+}
+
+/* ── Valhalla ─────────────────────────────────────────── */
+
+/**
+ * Decode a Valhalla shape (Google polyline, 6 decimal places) into [lat, lon] points
+ */
+function decodePolyline6(str) {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lon = 0;
+    while (index < str.length) {
+        for (const axis of [0, 1]) {
+            let shift = 0;
+            let result = 0;
+            let byte;
+            do {
+                byte = str.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            const delta = result & 1 ? ~(result >> 1) : result >> 1;
+            if (axis === 0) lat += delta;
+            else lon += delta;
+        }
+        points.push([lat / 1e6, lon / 1e6]);
+    }
+    return points;
+}
+
+/**
+ * Valhalla pedestrian costing: ORS-style steepness (0 flat only … 3 anything)
+ * sets both how much hills are avoided and the hardest SAC-scale path allowed
+ */
+function valhallaCosting(options) {
+    return {
+        use_hills: Math.round((options.steepness / 3) * 100) / 100,
+        max_hiking_difficulty: options.steepness + 1,
+        use_ferry: options.avoidFeatures.includes('ferries') ? 0 : 0.5,
+        // Seconds added per flight of steps (Valhalla's default is 30)
+        step_penalty: options.avoidFeatures.includes('steps') ? 600 : 30,
+        walkway_factor: options.preference === 'shortest' ? 1 : 0.9
+    };
+}
+
+async function valhallaRoute(points, options, { url }) {
+    const data = await callServer('Valhalla', `${url}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            locations: points.map(p => ({ lat: p[0], lon: p[1], type: 'break', radius: options.radius })),
+            costing: 'pedestrian',
+            costing_options: { pedestrian: valhallaCosting(options) },
+            shortest: options.preference === 'shortest',
+            exclude_polygons: avoidRings(options.avoidAreas),
+            directions_options: { units: 'kilometers' },
+            elevation_interval: 30
+        })
+    });
+
+    const legs = data.trip.legs.map(leg => ({
+        waypoints: decodePolyline6(leg.shape),
+        distance: leg.summary.length * 1000,
+        duration: leg.summary.time,
+        ascent: leg.summary.elevation_gain ?? null,
+        descent: leg.summary.elevation_loss ?? null,
+        instructions: leg.maneuvers.map(m => ({
+            instruction: m.instruction,
+            distance: m.length * 1000,
+            duration: m.time,
+            name: m.street_names?.[0] || ''
+        }))
+    }));
+
+    return {
+        // Each leg starts where the last ended, so drop the repeated point
+        waypoints: legs.flatMap((l, i) => (i === 0 ? l.waypoints : l.waypoints.slice(1))),
+        distance: data.trip.summary.length * 1000,
+        duration: data.trip.summary.time,
+        ascent: data.trip.summary.elevation_gain ?? null,
+        descent: data.trip.summary.elevation_loss ?? null,
+        instructions: legs.flatMap(l => l.instructions),
+        legs
+    };
+}
+
+// Longest contour a stock Valhalla server allows (service_limits.isochrone.max_time_contour)
+const VALHALLA_MAX_CONTOUR_S = 120 * 60;
+
+/**
+ * One Valhalla request per contour (in minutes), so a range the server refuses
+ * only loses that area. Ranges past the stock 2-hour limit need the server's
+ * max_time_contour raised.
+ */
+async function valhallaIsochrones(lat, lon, ranges, options, { url }) {
+    const results = await Promise.allSettled(ranges.map(async seconds => {
+        const data = await callServer('Valhalla', `${url}/isochrone`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                locations: [{ lat, lon, radius: options.radius }],
+                costing: 'pedestrian',
+                costing_options: { pedestrian: valhallaCosting(options) },
+                contours: [{ time: seconds / 60 }],
+                polygons: true
+            })
+        });
+        if (!data.features?.length) throw new Error('Valhalla returned no isochrone');
+        return { seconds, geometry: data.features[0].geometry };
+    }));
+
+    if (results.every(r => r.status === 'rejected')) throw results[0].reason;
+    return results.map((r, i) => {
+        if (r.status === 'fulfilled') return r.value;
+        const seconds = ranges[i];
+        const error = seconds > VALHALLA_MAX_CONTOUR_S
+            ? `${r.reason.message} — walking areas over 2 h need service_limits.isochrone.max_time_contour raised to ${seconds / 60} in the server's valhalla.json`
+            : r.reason.message;
+        return { seconds, geometry: null, error };
+    });
+}
+
+/**
+ * Adapters for engines the team runs itself. `profile` is the default
+ * routing profile (OSRM's compiled profile, GraphHopper's configured one);
+ * `exampleUrl` is the engine's usual local address. OSRM has no isochrone service.
+ */
+export const SELF_HOSTED_PROVIDERS = [
+    { id: 'osrm', name: 'OSRM', profile: 'foot', exampleUrl: 'http://localhost:5000', route: osrmRoute },
+    { id: 'graphhopper', name: 'GraphHopper', profile: 'hike', exampleUrl: 'http://localhost:8989', route: graphHopperRoute, isochrones: graphHopperIsochrones },
+    { id: 'valhalla', name: 'Valhalla', profile: null, exampleUrl: 'http://localhost:8002', route: valhallaRoute, isochrones: valhallaIsochrones }
+];
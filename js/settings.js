@@ -1,7 +1,14 @@
-import { getORSKey, setORSKey, formatDistance, formatDuration } from './route-service.js';
+import { getORSKey, setORSKey, ROUTING_PROVIDERS, getRoutingEngine, setRoutingEngine, testRoutingEngine, formatDistance } from './route-service.js';
 import { getGeminiKey, setGeminiKey } from './gemini-api.js';
-import { getWalks, setWalks, addWalk } from './library.js';
+import { getWalks, setWalks, addWalk, applyFilters, getWalkById, resolveWalkConflict, resetWalks, escapeHtml } from './library.js';
+import { getConflicts, getBundledWalk, isBundledOriginal } from './walk-store.js';
+import { getJournal, importJournal } from './journal.js';
+import { getRouteCacheStats, clearRouteCache } from './route-cache.js';
 import { setGoogleMapsKey } from './map-utils.js';
+import { findGradeMismatches } from './grading.js';
+import { downloadLibrary } from './exporters.js';
+import { FITNESS_LEVELS, getPaceProfile, setPaceProfile } from './time-estimate.js';
+import { parseRouteFile, trackToWalk, normaliseWalk } from './importers.js';
 
 /**
  * Initialise settings view
@@ -18,23 +25,68 @@ export function initSettings() {
     // Save settings
     document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
 
-    // GPX import (file input + drag-and-drop)
+    // Routing engine
+    const providerSelect = document.getElementById('settings-routing-provider');
+    providerSelect.innerHTML = ROUTING_PROVIDERS.map(p =>
+        `<option value="${p.id}">${p.name}${p.id === 'ors' ? '' : ' (self-hosted)'}</option>`
+    ).join('');
+    providerSelect.value = getRoutingEngine().provider;
+    providerSelect.addEventListener('change', showRoutingServer);
+    showRoutingServer();
+    document.getElementById('btn-save-routing').addEventListener('click', saveRoutingEngine);
+    document.getElementById('btn-clear-route-cache').addEventListener('click', clearCache);
+
+    // Pace profile
+    const pace = getPaceProfile();
+    document.getElementById('settings-pace-fitness').innerHTML = FITNESS_LEVELS.map(f =>
+        `<option value="${f.value}">${f.label} (${f.value} mins)</option>`
+    ).join('');
+    document.getElementById('settings-pace-fitness').value = pace.fitness;
+    document.getElementById('settings-pace-group').value = pace.groupSize;
+    document.getElementById('settings-pace-pack').value = pace.pack;
+    document.getElementById('settings-pace-breaks').value = pace.breaks;
+    document.getElementById('btn-save-pace').addEventListener('click', savePace);
+
+    // Route file import (file input + drag-and-drop, several files at once)
     const gpxInput = document.getElementById('gpx-file-input');
     const gpxZone = document.getElementById('gpx-drop-zone');
-    if (gpxInput) gpxInput.addEventListener('change', (e) => handleGPX(e.target.files[0]));
+    if (gpxInput) gpxInput.addEventListener('change', (e) => handleImportFiles(e.target.files));
     if (gpxZone) {
         gpxZone.addEventListener('dragover', (e) => { e.preventDefault(); gpxZone.classList.add('dragover'); });
         gpxZone.addEventListener('dragleave', () => gpxZone.classList.remove('dragover'));
         gpxZone.addEventListener('drop', (e) => {
             e.preventDefault();
             gpxZone.classList.remove('dragover');
-            handleGPX(e.dataTransfer.files[0]);
+            handleImportFiles(e.dataTransfer.files);
         });
     }
 
     // Import walk (JSON)
     document.getElementById('btn-import-walk').addEventListener('click', importWalk);
 
+    // Difficulty check
+    document.getElementById('btn-grade-check').addEventListener('click', checkGrades);
+
+    // Bundled-update conflicts
+    renderConflicts();
+    document.getElementById('library-conflicts').addEventListener('click', async (e) => {
+        const btn = e.target.closest('button[data-resolve]');
+        if (!btn) return;
+        try {
+            await resolveWalkConflict(btn.dataset.id, btn.dataset.resolve === 'bundled');
+            renderConflicts();
+        } catch (err) {
+            renderConflicts();
+            document.getElementById('library-conflicts').insertAdjacentHTML('afterbegin',
+                `<div class="gpx-status error">❌ ${escapeHtml(err.message)}</div>`);
+        }
+    });
+
+    // Backup, restore and reset
+    document.getElementById('btn-backup').addEventListener('click', downloadBackup);
+    document.getElementById('backup-file-input').addEventListener('change', (e) => restoreBackup(e.target.files[0]));
+    document.getElementById('btn-reset-library').addEventListener('click', resetLibrary);
+
     // Export all
     document.getElementById('btn-export-all').addEventListener('click', exportAll);
 }
@@ -66,6 +118,88 @@ async function saveSettings() {
     }
 }
 
+/**
+ * Show the chosen engine's server URL and profile (self-hosted engines only)
+ */
+function showRoutingServer() {
+    const id = document.getElementById('settings-routing-provider').value;
+    const provider = ROUTING_PROVIDERS.find(p => p.id === id);
+    const saved = getRoutingEngine(id);
+
+    document.getElementById('settings-routing-server').style.display = id === 'ors' ? 'none' : '';
+    document.getElementById('settings-routing-profile-label').style.display = provider.profile ? '' : 'none';
+    document.getElementById('settings-routing-url').value = saved.url;
+    document.getElementById('settings-routing-url').placeholder = provider.exampleUrl || '';
+    document.getElementById('settings-routing-profile').value = saved.profile;
+    document.getElementById('settings-routing-profile').placeholder = provider.profile || '';
+}
+
+/**
+ * Route a short test walk with the chosen engine before switching to it
+ */
+async function saveRoutingEngine() {
+    const engine = {
+        provider: document.getElementById('settings-routing-provider').value,
+        url: document.getElementById('settings-routing-url').value.trim(),
+        profile: document.getElementById('settings-routing-profile').value.trim()
+    };
+
+    const btn = document.getElementById('btn-save-routing');
+    btn.disabled = true;
+    btn.textContent = '🔄 Testing route...';
+
+    try {
+        const distance = await testRoutingEngine(engine);
+        setRoutingEngine(engine);
+        btn.textContent = `✅ Saved — test route ${formatDistance(distance)}`;
+    } catch (err) {
+        btn.textContent = `❌ ${err.message}`;
+    } finally {
+        btn.disabled = false;
+        setTimeout(() => { btn.textContent = '💾 Save Engine'; }, 4000);
+    }
+}
+
+/**
+ * Show how many routes are cached and how often the cache has answered
+ */
+export async function renderRouteCacheStats() {
+    const { entries, hits, misses } = await getRouteCacheStats();
+    const lookups = hits + misses;
+    document.getElementById('route-cache-stats').innerHTML = `
+        <div class="grade-check-row">
+            <strong>${entries} route${entries === 1 ? '' : 's'} cached</strong>
+            <small>${hits} hit${hits === 1 ? '' : 's'} · ${misses} miss${misses === 1 ? '' : 'es'}${lookups ? ` · ${Math.round((hits / lookups) * 100)}% answered from the cache` : ''}</small>
+        </div>
+    `;
+}
+
+async function clearCache() {
+    const btn = document.getElementById('btn-clear-route-cache');
+    try {
+        await clearRouteCache();
+        btn.textContent = '✅ Cleared';
+    } catch (err) {
+        btn.textContent = `❌ ${err.message}`;
+    }
+    renderRouteCacheStats();
+    setTimeout(() => { btn.textContent = '🗑️ Clear Route Cache'; }, 2000);
+}
+
+function savePace() {
+    setPaceProfile({
+        fitness: parseInt(document.getElementById('settings-pace-fitness').value),
+        groupSize: Math.max(1, parseInt(document.getElementById('settings-pace-group').value) || 1),
+        pack: document.getElementById('settings-pace-pack').value,
+        breaks: parseInt(document.getElementById('settings-pace-breaks').value) || 0
+    });
+    applyFilters();
+
+    const btn = document.getElementById('btn-save-pace');
+    btn.textContent = '✅ Saved!';
+    setTimeout(() => { btn.textContent = '💾 Save Pace'; }, 2000);
+}
+
 async function testAPIKey(key, service) {
     // Dummy test to simulate API key validation
     // TODO: Replace with actual API calls for real validation
@@ -78,112 +212,89 @@ async function testAPIKey(key, service) {
 
 
 /**
- * Haversine distance between two points in meters
+ * Parse dropped/selected route files and import them, one result row per file.
+ * Files with several tracks get a picker instead of being imported straight away.
  */
-function haversineDist(lat1, lon1, lat2, lon2) {
-    const R = 6371000;
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) ** 2 +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+async function handleImportFiles(files) {
+    files = Array.from(files || []);
+    if (files.length === 0) return;
+    const resultsEl = document.getElementById('gpx-status');
+    resultsEl.style.display = 'block';
+    resultsEl.innerHTML = '';
+
+    for (const file of files) {
+        const row = document.createElement('div');
+        row.className = 'gpx-status';
+        row.innerHTML = `<span class="spinner"></span> Parsing ${escapeHtml(file.name)}...`;
+        resultsEl.appendChild(row);
+
+        try {
+            const parsed = await parseRouteFile(file);
+            if (parsed.tracks.length === 1) {
+                await importTracks(row, parsed, [parsed.tracks[0]]);
+            } else {
+                renderTrackPicker(row, parsed);
+            }
+        } catch (err) {
+            row.className = 'gpx-status error';
+            row.innerHTML = `❌ ${escapeHtml(file.name)} — ${escapeHtml(err.message)}`;
+        }
+    }
+
+    // Reset file input so the same file can be picked again
+    document.getElementById('gpx-file-input').value = '';
 }
 
 /**
- * Parse a GPX file and add the walk to the library
+ * Let the user pick which track becomes the walk, or import each as its own walk.
+ * "Import Each" skips whole multi-segment tracks — their segments are imported instead.
  */
-async function handleGPX(file) {
-    if (!file) return;
-    const statusEl = document.getElementById('gpx-status');
-    statusEl.style.display = 'block';
-    statusEl.innerHTML = '<span class="spinner"></span> Parsing GPX...';
+function renderTrackPicker(row, parsed) {
+    row.className = 'gpx-status pending';
+    row.innerHTML = `
+        <div>📑 ${escapeHtml(parsed.fileName)} contains ${parsed.tracks.length} tracks</div>
+        <div class="import-track-picker">
+            <select class="import-track-select">
+                ${parsed.tracks.map((t, i) => `<option value="${i}">${escapeHtml(t.name)} (${t.waypoints.length} points)</option>`).join('')}
+            </select>
+            <button class="btn-import-track">Import Selected</button>
+            <button class="btn-import-each">Import Each</button>
+        </div>
+    `;
+
+    row.querySelector('.btn-import-track').addEventListener('click', () => {
+        const idx = parseInt(row.querySelector('.import-track-select').value, 10);
+        importTracks(row, parsed, [parsed.tracks[idx]]);
+    });
+    row.querySelector('.btn-import-each').addEventListener('click', () => {
+        importTracks(row, parsed, parsed.tracks.filter(t => !t.combined));
+    });
+}
 
+/**
+ * Normalise the chosen tracks into walks and add them to the library
+ */
+async function importTracks(row, parsed, tracks) {
+    const walks = tracks.map(t => trackToWalk(t, parsed.points, parsed.format));
     try {
-        const text = await file.text();
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(text, 'text/xml');
-
-        // Extract track points (<trkpt>) or route points (<rtept>)
-        let points = Array.from(doc.querySelectorAll('trkpt'));
-        if (points.length === 0) points = Array.from(doc.querySelectorAll('rtept'));
-        if (points.length < 2) throw new Error('GPX file contains fewer than 2 points.');
-
-        const waypoints = points.map(pt => [
-            parseFloat(pt.getAttribute('lat')),
-            parseFloat(pt.getAttribute('lon'))
-        ]);
-
-        // Get track name
-        const nameEl = doc.querySelector('trk > name') || doc.querySelector('rte > name') || doc.querySelector('metadata > name');
-        const name = nameEl ? nameEl.textContent.trim() : file.name.replace('.gpx', '');
-
-        // Calculate total distance
-        let totalDist = 0;
-        for (let i = 1; i < waypoints.length; i++) {
-            totalDist += haversineDist(waypoints[i - 1][0], waypoints[i - 1][1], waypoints[i][0], waypoints[i][1]);
-        }
-
-        // Detect circular (start ≈ end)
-        const first = waypoints[0];
-        const last = waypoints[waypoints.length - 1];
-        const isCircular = haversineDist(first[0], first[1], last[0], last[1]) < 200;
-
-        // Estimate time (~4 km/h walking)
-        const hours = totalDist / 4000;
-
-        // Extract elevation from GPX if available
-        const elePoints = points.map(pt => {
-            const ele = pt.querySelector('ele');
-            return ele ? parseFloat(ele.textContent) : null;
-        }).filter(e => e !== null);
-        let elevationGain = 'N/A';
-        if (elePoints.length > 1) {
-            let gain = 0;
-            for (let i = 1; i < elePoints.length; i++) {
-                const diff = elePoints[i] - elePoints[i - 1];
-                if (diff > 0) gain += diff;
-            }
-            elevationGain = `${Math.round(gain)}m`;
-        }
-
-        const walk = {
-            name,
-            distance: formatDistance(totalDist),
-            time: formatDuration(hours * 3600),
-            difficulty: totalDist > 10000 || (elePoints.length && elevationGain !== 'N/A' && parseInt(elevationGain) > 500) ? 'Challenging' : totalDist > 5000 ? 'Moderate' : 'Easy',
-            desc: `Imported from GPX: ${name}`,
-            start: 'Car Park',
-            lat: first[0],
-            lon: first[1],
-            elevation: elevationGain,
-            terrain: '',
-            routeUrl: '',
-            walkType: 'summit',
-            waypoints,
-            endLat: isCircular ? first[0] : last[0],
-            endLon: isCircular ? first[1] : last[1],
-            directions: [],
-            parkingDetail: '',
-            thePayoff: ''
-        };
-
-        addWalk(walk);
-        statusEl.className = 'gpx-status success';
-        statusEl.innerHTML = `✅ Imported "${name}" — ${formatDistance(totalDist)}, ${waypoints.length} points`;
-
-        // Reset file input
-        document.getElementById('gpx-file-input').value = '';
+        for (const walk of walks) await addWalk(walk);
     } catch (err) {
-        statusEl.className = 'gpx-status error';
-        statusEl.innerHTML = `❌ ${err.message}`;
+        row.className = 'gpx-status error';
+        row.innerHTML = `❌ ${escapeHtml(parsed.fileName)} — ${escapeHtml(err.message)}`;
+        return;
     }
+
+    row.className = 'gpx-status success';
+    row.innerHTML = `✅ ${escapeHtml(parsed.fileName)} — ` + walks.map(w => {
+        const steps = w.directions.length ? `, ${w.directions.length} directions` : '';
+        return `Imported "${escapeHtml(w.name)}" (${w.distance}, ${w.waypoints.length} points${steps})`;
+    }).join('; ');
 }
 
 /**
  * Import a walk from pasted JSON
  */
-function importWalk() {
+async function importWalk() {
     const textArea = document.getElementById('import-json');
     const json = textArea.value.trim();
 
@@ -194,7 +305,7 @@ function importWalk() {
         if (!walk.name || !walk.lat) {
             throw new Error('Missing required fields: name, lat');
         }
-        addWalk(walk);
+        await addWalk(normaliseWalk(walk));
         textArea.value = '';
 
         const btn = document.getElementById('btn-import-walk');
@@ -208,16 +319,188 @@ function importWalk() {
 }
 
 /**
- * Export full walk library as JSON
+ * List library walks whose stated difficulty disagrees with the computed grade
+ */
+function checkGrades() {
+    const walks = getWalks();
+    const mismatches = findGradeMismatches(walks);
+    const resultsEl = document.getElementById('grade-check-results');
+
+    if (mismatches.length === 0) {
+        resultsEl.innerHTML = `✅ All ${walks.length} walks match their computed grade.`;
+        return;
+    }
+
+    resultsEl.innerHTML = `
+        <div>⚠ ${mismatches.length} of ${walks.length} walks disagree with their computed grade:</div>
+        ${mismatches.map(m => `
+            <div class="grade-check-row">
+                <strong>${m.walk.name}</strong> — stated ${m.stated}, graded ${m.computed.grade} (score ${m.computed.score})
+                <small>${m.computed.reasons.join(', ') || 'No significant factors'}</small>
+            </div>
+        `).join('')}
+    `;
+}
+
+const CONFLICT_TEXT = {
+    edited: {
+        note: 'You edited this walk and the bundled version has since been updated. Your version was kept.',
+        keep: 'Keep mine',
+        bundled: 'Use updated'
+    },
+    deleted: {
+        note: 'You deleted this walk and the bundled version has since been updated.',
+        keep: 'Keep deleted',
+        bundled: 'Restore updated'
+    },
+    removed: {
+        note: 'This walk was dropped from the bundled library. Your edited copy was kept as your own walk.',
+        keep: 'Keep it',
+        bundled: 'Delete it'
+    }
+};
+
+/**
+ * List walks a bundled update couldn't merge, with keep/take buttons
+ */
+function renderConflicts() {
+    const conflicts = getConflicts();
+    const el = document.getElementById('library-conflicts');
+
+    if (conflicts.length === 0) {
+        el.innerHTML = '✅ No conflicts — your walks and edits merged cleanly.';
+        return;
+    }
+
+    el.innerHTML = conflicts.map(c => {
+        const text = CONFLICT_TEXT[c.kind];
+        // For edits, say which fields differ from the updated version
+        let fields = '';
+        if (c.kind === 'edited') {
+            const mine = getWalkById(c.id);
+            const bundled = getBundledWalk(c.id);
+            const keys = mine && bundled
+                ? [...new Set([...Object.keys(mine), ...Object.keys(bundled)])]
+                    .filter(k => JSON.stringify(mine[k]) !== JSON.stringify(bundled[k]))
+                : [];
+            if (keys.length) fields = `<small>Differs in: ${keys.join(', ')}</small>`;
+        }
+        return `
+            <div class="grade-check-row conflict-row">
+                <strong>${c.name}</strong>
+                <small>${text.note}</small>
+                ${fields}
+                <div class="conflict-actions">
+                    <button data-id="${c.id}" data-resolve="mine">${text.keep}</button>
+                    <button data-id="${c.id}" data-resolve="bundled">${text.bundled}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+const BACKUP_FORMAT = 'trail-mapper-backup';
+
+/**
+ * Download the user's own walks, their edits to bundled walks and the journal as one JSON file
+ */
+function downloadBackup() {
+    const walks = getWalks().filter(w => !isBundledOriginal(w));
+    const journal = getJournal();
+    const backup = { format: BACKUP_FORMAT, version: 1, createdAt: new Date().toISOString(), walks, journal };
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `trail-mapper-backup-${backup.createdAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    const btn = document.getElementById('btn-backup');
+    btn.textContent = `✅ ${walks.length} walks, ${journal.length} journal records saved`;
+    setTimeout(() => { btn.textContent = '💾 Download Backup'; }, 3000);
+}
+
+/**
+ * Merge a backup into the library and journal — backed-up walks replace those
+ * with the same ID, the rest are added
+ */
+async function restoreBackup(file) {
+    if (!file) return;
+    const status = document.getElementById('backup-status');
+    status.style.display = 'block';
+    status.className = 'gpx-status';
+    status.innerHTML = `<span class="spinner"></span> Restoring ${escapeHtml(file.name)}...`;
+
+    try {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch {
+            throw new Error('The file is not valid JSON');
+        }
+        if (backup?.format !== BACKUP_FORMAT) throw new Error('Not a Trail Mapper backup file');
+
+        const restored = (backup.walks || []).filter(w => w?.id && w.name);
+        const byId = new Map(restored.map(w => [w.id, w]));
+        const current = getWalks();
+        const currentIds = new Set(current.map(w => w.id));
+        await setWalks([
+            ...current.map(w => byId.get(w.id) || w),
+            ...restored.filter(w => !currentIds.has(w.id))
+        ]);
+        const entries = await importJournal(backup.journal);
+
+        status.className = 'gpx-status success';
+        status.textContent = `✅ Restored ${restored.length} walks and ${entries} journal entries from ${file.name}`;
+    } catch (err) {
+        status.className = 'gpx-status error';
+        status.textContent = `❌ ${file.name} — ${err.message}`;
+    }
+
+    // Reset file input so the same file can be picked again
+    document.getElementById('backup-file-input').value = '';
+}
+
+/**
+ * Back to the bundled library after a confirmation — the journal is kept
+ */
+async function resetLibrary() {
+    if (!confirm('Reset the library? Your own walks and edits to bundled walks will be removed. Your journal is kept. Download a backup first if you might want them back.')) return;
+
+    const btn = document.getElementById('btn-reset-library');
+    try {
+        await resetWalks();
+        renderConflicts();
+        btn.textContent = '✅ Library reset';
+    } catch (err) {
+        btn.textContent = `❌ ${err.message}`;
+    }
+    setTimeout(() => { btn.textContent = '↺ Reset Library'; }, 3000);
+}
+
+/**
+ * Export full walk library as JSON, or as a single GeoJSON/KML file
  */
 function exportAll() {
     const walks = getWalks();
+    const format = document.getElementById('export-all-format').value;
+
+    if (format !== 'json') {
+        downloadLibrary(walks, format);
+        const btn = document.getElementById('btn-export-all');
+        btn.textContent = `✅ ${walks.length} walks exported!`;
+        setTimeout(() => { btn.textContent = '📦 Export Full Library'; }, 3000);
+        return;
+    }
+
     const jsonStr = JSON.stringify(walks, null, 2);
 
     navigator.clipboard.writeText(jsonStr).then(() => {
         const btn = document.getElementById('btn-export-all');
         btn.textContent = `✅ ${walks.length} walks copied to clipboard!`;
-        setTimeout(() => { btn.textContent = '📦 Export Full Library as JSON'; }, 3000);
+        setTimeout(() => { btn.textContent = '📦 Export Full Library'; }, 3000);
     });
 
     // Also offer download
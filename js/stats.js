@@ -0,0 +1,112 @@
+/* ═══════════════════════════════════════════════════════
+   Stats — Personal totals from the walk journal
+   ═══════════════════════════════════════════════════════ */
+
+import { getWalks, getWalkById, escapeHtml } from './library.js';
+import { journalStats, getJournal } from './journal.js';
+import { formatDuration } from './route-service.js';
+import { walkTypeIcon } from './map-utils.js';
+import { navigate } from './router.js';
+
+let listening = false;
+
+/**
+ * Render the stats page from the current journal
+ */
+export function renderStats() {
+    const el = document.getElementById('stats-content');
+    const { total, years, types } = journalStats(getWalks());
+
+    if (!listening) {
+        // Entries and favourites link back to their walk (if it's still in the library)
+        el.addEventListener('click', e => {
+            const link = e.target.closest('[data-walk]');
+            if (link) navigate(`/walk/${encodeURIComponent(link.dataset.walk)}`);
+        });
+        listening = true;
+    }
+
+    if (total.walks === 0 && total.favourites === 0) {
+        el.innerHTML = `<div class="empty-msg"><span class="empty-icon">📓</span>Your journal is empty.<br>Open a walk and press "I walked this" to start logging.</div>`;
+        return;
+    }
+
+    const journal = getJournal();
+    const recent = journal
+        .flatMap(r => r.completions.map(c => ({ ...c, walkId: r.walkId, name: r.walk.name })))
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, 10);
+    const favourites = journal.filter(r => r.favourite);
+
+    el.innerHTML = `
+        <div class="detail-stats stats-totals">
+            ${statItem('Walks done', total.walks)}
+            ${statItem('Different walks', total.distinct)}
+            ${statItem('Distance', `${Math.round(total.km * 10) / 10} km`)}
+            ${statItem('Ascent climbed', `${Math.round(total.ascent).toLocaleString('en-GB')} m`)}
+            ${statItem('Time logged', total.minutes ? formatDuration(total.minutes * 60) : '—')}
+            ${statItem('Favourites', total.favourites)}
+        </div>
+
+        ${years.length ? `
+        <div class="settings-section">
+            <h3>By Year</h3>
+            <table class="stats-table">
+                <thead><tr><th>Year</th><th>Walks</th><th>Distance</th><th>Ascent</th><th>Time logged</th></tr></thead>
+                <tbody>
+                    ${years.map(y => `
+                        <tr>
+                            <td>${y.year}</td>
+                            <td>${y.walks}</td>
+                            <td>${Math.round(y.km * 10) / 10} km</td>
+                            <td>${Math.round(y.ascent).toLocaleString('en-GB')} m</td>
+                            <td>${y.minutes ? formatDuration(y.minutes * 60) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+
+        <div class="settings-section">
+            <h3>Walk Types</h3>
+            <p class="settings-hint">Times walked, and how many of the library's walks of each type you've done.</p>
+            ${types.map(t => `
+                <div class="stats-type">
+                    <span class="stats-type-name">${walkTypeIcon(t.type)} ${t.type}</span>
+                    <div class="stats-bar"><div class="stats-bar-fill" style="width:${t.inLibrary ? Math.min(100, (t.distinct / t.inLibrary) * 100) : 100}%"></div></div>
+                    <span class="stats-type-count">${t.walks}× · ${t.distinct}${t.inLibrary ? ` of ${t.inLibrary}` : ''}</span>
+                </div>
+            `).join('')}
+        </div>
+
+        <div class="settings-section">
+            <h3>Recent Walks</h3>
+            ${recent.map(c => `
+                <div class="grade-check-row stats-entry">
+                    ${walkLink(c.walkId, c.name)} — ${new Date(`${c.date}T12:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}
+                    ${c.notes ? `<small>${escapeHtml(c.notes)}</small>` : ''}
+                </div>
+            `).join('')}
+        </div>` : ''}
+
+        ${favourites.length ? `
+        <div class="settings-section">
+            <h3>Favourites</h3>
+            <div class="stats-favourites">${favourites.map(r => `<span class="walk-tag">★ ${walkLink(r.walkId, r.walk.name)}</span>`).join('')}</div>
+        </div>` : ''}
+    `;
+}
+
+function statItem(label, value) {
+    return `<div class="stat-item"><div class="stat-label">${label}</div><div class="stat-value">${value}</div></div>`;
+}
+
+/**
+ * A walk's name, clickable while the walk is still in the library
+ */
+function walkLink(walkId, name) {
+    const walk = getWalkById(walkId);
+    return walk
+        ? `<button class="stats-walk-link" data-walk="${walkId}">${escapeHtml(walk.name)}</button>`
+        : `<span title="No longer in the library">${escapeHtml(name)}</span>`;
+}
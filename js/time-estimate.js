@@ -0,0 +1,143 @@
+/* ═══════════════════════════════════════════════════════
+   Time Estimate — Naismith's rule with Tranter's corrections
+   ═══════════════════════════════════════════════════════ */
+
+import { computeElevationStats } from './map-utils.js';
+import { parseDistance, parseElevation } from './route-service.js';
+
+const PACE_KEY = 'trail_mapper_pace';
+
+/**
+ * Tranter fitness rows — minutes to climb 300 m over 800 m
+ */
+export const FITNESS_LEVELS = [
+    { value: 15, label: 'Very fit' },
+    { value: 20, label: 'Fit' },
+    { value: 25, label: 'Good' },
+    { value: 30, label: 'Average' },
+    { value: 40, label: 'Leisurely' },
+    { value: 50, label: 'Slow' }
+];
+
+export const DEFAULT_PACE = {
+    fitness: 30,
+    groupSize: 2,
+    pack: 'day',        // 'day' | 'heavy' — a heavy pack drops one fitness row
+    breaks: 0           // minutes of rest per hour on the move
+};
+
+// Tranter's table: Naismith hours (columns) → corrected hours per fitness row.
+// Blank cells in the published table ("too much for this fitness") are omitted
+// and extrapolated from the last two values of the row.
+const TRANTER_HOURS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 16, 18, 20, 22, 24];
+const TRANTER_TABLE = {
+    15: [1, 1.5, 2, 2.75, 3.5, 4.5, 5.5, 6.75, 7.75, 10, 12.5, 14.5, 17, 19.5, 22, 24],
+    20: [1.25, 2.25, 3.25, 4.5, 5.5, 6.5, 7.75, 8.75, 10, 12.5, 15, 17.5, 20, 23],
+    25: [1.5, 3, 4.25, 5.5, 7, 8.5, 10, 11.5, 13.25, 15, 17.5],
+    30: [2, 3.5, 5, 6.75, 8.5, 10.5, 12.5, 14.5],
+    40: [2.75, 4.25, 5.75, 7.5, 9.5, 11.5],
+    50: [3.25, 4.75, 6.5, 8.5]
+};
+
+/**
+ * Get the user's pace profile (merged over defaults)
+ */
+export function getPaceProfile() {
+    try {
+        return { ...DEFAULT_PACE, ...JSON.parse(localStorage.getItem(PACE_KEY) || '{}') };
+    } catch {
+        return { ...DEFAULT_PACE };
+    }
+}
+
+/**
+ * Save the user's pace profile
+ */
+export function setPaceProfile(profile) {
+    localStorage.setItem(PACE_KEY, JSON.stringify({ ...DEFAULT_PACE, ...profile }));
+}
+
+/**
+ * Book time in seconds: Naismith's rule (5 km/h plus 1 hour per 600 m ascent)
+ * with Langmuir's descent correction. Without per-segment gradients, descent is
+ * assumed to happen over half the route: gentle descents (5–12°) save 10 min
+ * per 300 m, steep ones (over 12°) cost 10 min per 300 m.
+ */
+export function naismithTime({ distance, ascent = 0, descent = 0 }) {
+    let hours = distance / 5000 + ascent / 600;
+
+    if (descent > 0 && distance > 0) {
+        const descentGrade = descent / (distance / 2);
+        if (descentGrade > 0.21) hours += (descent / 300) * (10 / 60);
+        else if (descentGrade > 0.09) hours -= (descent / 300) * (10 / 60);
+    }
+
+    return Math.max(0, hours) * 3600;
+}
+
+/**
+ * Apply Tranter's corrections to a Naismith time for a fitness row
+ */
+export function tranterTime(naismithSeconds, fitness = DEFAULT_PACE.fitness) {
+    const row = TRANTER_TABLE[fitness] || TRANTER_TABLE[DEFAULT_PACE.fitness];
+    const hours = naismithSeconds / 3600;
+    const cols = TRANTER_HOURS.slice(0, row.length);
+
+    // Below the first column, scale proportionally from zero
+    if (hours <= cols[0]) return (row[0] / cols[0]) * hours * 3600;
+
+    for (let i = 1; i < cols.length; i++) {
+        if (hours <= cols[i]) {
+            const t = (hours - cols[i - 1]) / (cols[i] - cols[i - 1]);
+            return (row[i - 1] + t * (row[i] - row[i - 1])) * 3600;
+        }
+    }
+
+    // Beyond the table, extrapolate from the last two values
+    const n = row.length - 1;
+    const slope = (row[n] - row[n - 1]) / (cols[n] - cols[n - 1]);
+    return (row[n] + (hours - cols[n]) * slope) * 3600;
+}
+
+/**
+ * Effective fitness row after pace-profile adjustments (a heavy pack drops one row)
+ */
+function effectiveFitness(pace) {
+    const rows = FITNESS_LEVELS.map(f => f.value);
+    let idx = rows.indexOf(Number(pace.fitness));
+    if (idx === -1) idx = rows.indexOf(DEFAULT_PACE.fitness);
+    if (pace.pack === 'heavy') idx = Math.min(idx + 1, rows.length - 1);
+    return rows[idx];
+}
+
+/**
+ * Estimate walking times for a route
+ * Returns { book, yours } in seconds — book is plain Naismith, yours applies the pace profile
+ */
+export function estimateTime({ distance, ascent = 0, descent = 0 }, pace = getPaceProfile()) {
+    const book = naismithTime({ distance, ascent, descent });
+
+    // Larger groups move at the pace of the slowest and stop more: +2.5% per walker beyond two, capped at +25%
+    const groupFactor = 1 + Math.min(0.25, Math.max(0, (Number(pace.groupSize) || 1) - 2) * 0.025);
+    const moving = tranterTime(book, effectiveFitness(pace)) * groupFactor;
+    const breaks = moving / 3600 * (Number(pace.breaks) || 0) * 60;
+
+    return { book, yours: moving + breaks };
+}
+
+/**
+ * Estimate times for a walk object, using measured elevation when available
+ * and falling back to the distance/elevation strings. Returns null without a distance.
+ */
+export function estimateWalkTime(walk, pace = getPaceProfile()) {
+    const distance = parseDistance(walk.distance);
+    if (!distance) return null;
+
+    const stats = computeElevationStats(walk.waypoints);
+    const ascent = stats ? stats.ascent : parseElevation(walk.elevation);
+    // Without measured descent, circular walks lose what they gain
+    const isCircular = walk.endLat === walk.lat && walk.endLon === walk.lon;
+    const descent = stats ? stats.descent : (isCircular ? ascent : 0);
+
+    return estimateTime({ distance, ascent, descent }, pace);
+}
@@ -0,0 +1,228 @@
+/* ═══════════════════════════════════════════════════════
+   Walk DB — IndexedDB storage for user walks, route geometry, the journal and cached routes
+   ═══════════════════════════════════════════════════════ */
+
+const DB_NAME = 'trail_mapper';
+const DB_VERSION = 3;
+
+// Dense route data lives apart from the metadata so lists stay cheap to read
+const GEOMETRY_FIELDS = ['waypoints', 'controlPoints'];
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the database. Stores:
+ *  - walks:    { id, source: 'user' | 'override', walk } — walk without geometry
+ *  - geometry: { id, waypoints, controlPoints }
+ *  - meta:     out-of-line keys, e.g. 'library' → versions, base hashes, conflicts
+ *  - journal:  { walkId, favourite, completions, walk } — never touched by library saves (v2)
+ *  - routes:   { key, storedAt, data } — routing responses, indexed by storedAt for eviction (v3)
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains('walks')) db.createObjectStore('walks', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('geometry')) db.createObjectStore('geometry', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+            if (!db.objectStoreNames.contains('journal')) db.createObjectStore('journal', { keyPath: 'walkId' });
+            if (!db.objectStoreNames.contains('routes')) {
+                db.createObjectStore('routes', { keyPath: 'key' }).createIndex('storedAt', 'storedAt');
+            }
+        };
+        req.onsuccess = () => {
+            // Step aside when a newer version opens in another tab, rather than blocking its upgrade
+            req.result.onversionchange = () => req.result.close();
+            resolve(req.result);
+        };
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => reject(new Error('Storage is blocked by another open Trail Mapper tab'));
+    });
+    // Let a later call retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Turn storage failures into messages worth showing — running out of quota most of all
+ */
+function storageError(err, what = 'walks') {
+    if (err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+        return new Error('Browser storage is full — export and delete some walks, then try again.');
+    }
+    return new Error(`Couldn't save ${what}: ${err?.message || err?.name || 'unknown storage error'}`);
+}
+
+/**
+ * Read everything: meta entry, walk records with their geometry re-attached
+ */
+export async function readAll(metaKey) {
+    const db = await openDb();
+    const tx = db.transaction(['walks', 'geometry', 'meta'], 'readonly');
+    const [meta, records, geometry] = await Promise.all([
+        request(tx.objectStore('meta').get(metaKey)),
+        request(tx.objectStore('walks').getAll()),
+        request(tx.objectStore('geometry').getAll())
+    ]);
+    const geometryById = new Map(geometry.map(g => [g.id, g]));
+
+    return {
+        meta: meta || null,
+        records: records.map(r => {
+            const { id: _, ...geo } = geometryById.get(r.id) || {};
+            return { ...r, walk: { ...r.walk, ...geo } };
+        })
+    };
+}
+
+/**
+ * Write in one transaction: the meta entry, changed walk records and removals.
+ * Rejects with a readable error (quota included) and writes nothing on failure.
+ */
+export async function writeChanges(metaKey, meta, put = [], remove = []) {
+    let db;
+    try {
+        db = await openDb();
+    } catch (err) {
+        throw new Error(`Walks can't be saved — browser storage is unavailable (${err.message}).`);
+    }
+
+    return new Promise((resolve, reject) => {
+        let tx;
+        try {
+            tx = db.transaction(['walks', 'geometry', 'meta'], 'readwrite');
+            const walkStore = tx.objectStore('walks');
+            const geoStore = tx.objectStore('geometry');
+
+            tx.objectStore('meta').put(meta, metaKey);
+            put.forEach(({ id, source, walk }) => {
+                const metadata = { ...walk };
+                const geometry = { id };
+                GEOMETRY_FIELDS.forEach(f => {
+                    if (f in metadata) {
+                        geometry[f] = metadata[f];
+                        delete metadata[f];
+                    }
+                });
+                walkStore.put({ id, source, walk: metadata });
+                if (Object.keys(geometry).length > 1) geoStore.put(geometry);
+                else geoStore.delete(id);
+            });
+            remove.forEach(id => {
+                walkStore.delete(id);
+                geoStore.delete(id);
+            });
+        } catch (err) {
+            reject(storageError(err));
+            return;
+        }
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(storageError(tx.error));
+    });
+}
+
+/**
+ * Every journal record
+ */
+export async function readJournal() {
+    const db = await openDb();
+    return request(db.transaction('journal', 'readonly').objectStore('journal').getAll());
+}
+
+/**
+ * Write changed journal records and remove others (by walk ID) in one transaction.
+ * Rejects with a readable error and writes nothing on failure.
+ */
+export async function writeJournal(put = [], remove = []) {
+    let db;
+    try {
+        db = await openDb();
+    } catch (err) {
+        throw new Error(`The journal can't be saved — browser storage is unavailable (${err.message}).`);
+    }
+
+    return new Promise((resolve, reject) => {
+        let tx;
+        try {
+            tx = db.transaction('journal', 'readwrite');
+            const store = tx.objectStore('journal');
+            put.forEach(record => store.put(record));
+            remove.forEach(walkId => store.delete(walkId));
+        } catch (err) {
+            reject(storageError(err, 'the journal'));
+            return;
+        }
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(storageError(tx.error, 'the journal'));
+    });
+}
+
+/**
+ * A cached route entry, or null
+ */
+export async function readRoute(key) {
+    const db = await openDb();
+    return (await request(db.transaction('routes', 'readonly').objectStore('routes').get(key))) || null;
+}
+
+/**
+ * Store a route entry, then drop entries older than maxAge and the oldest
+ * beyond maxEntries, all in one transaction
+ */
+export async function writeRoute(entry, maxEntries, maxAge) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        let tx;
+        try {
+            tx = db.transaction('routes', 'readwrite');
+            const store = tx.objectStore('routes');
+            store.put(entry);
+            const count = store.count();
+            count.onsuccess = () => {
+                let excess = count.result - maxEntries;
+                const cursor = store.index('storedAt').openCursor();
+                cursor.onsuccess = () => {
+                    const c = cursor.result;
+                    if (!c || (excess <= 0 && c.value.storedAt >= entry.storedAt - maxAge)) return;
+                    c.delete();
+                    excess--;
+                    c.continue();
+                };
+            };
+        } catch (err) {
+            reject(storageError(err, 'the route'));
+            return;
+        }
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(storageError(tx.error, 'the route'));
+    });
+}
+
+/**
+ * Number of cached route entries
+ */
+export async function countRoutes() {
+    const db = await openDb();
+    return request(db.transaction('routes', 'readonly').objectStore('routes').count());
+}
+
+/**
+ * Remove every cached route
+ */
+export async function clearRoutes() {
+    const db = await openDb();
+    return request(db.transaction('routes', 'readwrite').objectStore('routes').clear());
+}
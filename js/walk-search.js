@@ -0,0 +1,123 @@
+/* ═══════════════════════════════════════════════════════
+   Walk Search — Typo-tolerant full-text matching for the library
+   ═══════════════════════════════════════════════════════ */
+
+// Searched fields and how much a match in each counts
+const FIELDS = [
+    ['name', 5],
+    ['start', 2],
+    ['terrain', 2],
+    ['thePayoff', 1],
+    ['desc', 1]
+];
+const LANDMARK_WEIGHT = 1;
+
+// Walk objects are replaced (not mutated) when edited, so they can key the cache
+const indexCache = new WeakMap();
+
+/**
+ * Lower-case words with accents and apostrophes removed ("Gummer's How" → gummers, how)
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+function indexWalk(walk) {
+    let index = indexCache.get(walk);
+    if (!index) {
+        index = FIELDS.map(([field, weight]) => ({ words: [...new Set(tokenize(walk[field]))], weight }));
+        const landmarks = (walk.directions || []).map(d => d.landmark).join(' ');
+        index.push({ words: [...new Set(tokenize(landmarks))], weight: LANDMARK_WEIGHT });
+        indexCache.set(walk, index);
+    }
+    return index;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up early once it must exceed `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prev2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * How well a query term matches a word: exact > prefix > substring > near miss
+ */
+function termScore(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    if (term.length >= 3 && word.includes(term)) return 0.6;
+
+    // One typo allowed from 4 letters, two from 8; also against the word's start
+    // so a half-typed, misspelt word still matches
+    const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (!allowed) return 0;
+    const distance = Math.min(
+        editDistance(term, word, allowed),
+        editDistance(term, word.slice(0, term.length), allowed)
+    );
+    return distance <= allowed ? 0.5 - 0.1 * distance : 0;
+}
+
+/**
+ * Score a walk against a query — every term has to match somewhere.
+ * Returns 0 for no match.
+ */
+function scoreWalk(walk, terms, phrase) {
+    const index = indexWalk(walk);
+    let total = 0;
+    for (const term of terms) {
+        let best = 0;
+        index.forEach(({ words, weight }) => {
+            words.forEach(word => {
+                best = Math.max(best, termScore(term, word) * weight);
+            });
+        });
+        if (!best) return 0;
+        total += best;
+    }
+    // The whole query in the name beats the same words scattered about
+    if (terms.length > 1 && tokenize(walk.name).join(' ').includes(phrase)) total += 5;
+    return total;
+}
+
+/**
+ * Search walks by name, start, terrain, description, payoff and direction landmarks.
+ * Returns a Map of matching walk → relevance score, or null for an empty query.
+ */
+export function searchWalks(walks, query) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return null;
+    const phrase = terms.join(' ');
+
+    const scores = new Map();
+    walks.forEach(walk => {
+        const score = scoreWalk(walk, terms, phrase);
+        if (score > 0) scores.set(walk, score);
+    });
+    return scores;
+}
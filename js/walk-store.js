@@ -0,0 +1,361 @@
+/* ═══════════════════════════════════════════════════════
+   Walk Store — Persistence, migrations and bundled-data merges
+   ═══════════════════════════════════════════════════════ */
+
+import { readAll, writeChanges } from './walk-db.js';
+
+// Bump when public/data/walks.json changes — user walks and edits survive the bump
+export const WALKS_VERSION = '6.0'; // GPX-derived coordinates + minimal attribution
+
+const LIBRARY_KEY = 'trail_mapper_library';
+const LEGACY_WALKS_KEY = 'trail_mapper_walks';
+const LEGACY_VERSION_KEY = 'trail_mapper_walks_version';
+
+/**
+ * Schema migrations, one per change to the stored shape. Each receives the stored
+ * data (and the bundled walks) and upgrades it in place to its version.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Walks carry stable IDs',
+        migrate(data) {
+            if (!data.legacy) return;
+            const taken = new Set();
+            data.legacy.forEach(w => {
+                if (!w.id || taken.has(w.id)) w.id = createWalkId(w, taken);
+                taken.add(w.id);
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'User walks and edits to bundled walks stored apart from the bundled data',
+        migrate(data, bundled) {
+            const legacy = data.legacy || [];
+            const bundledById = new Map(bundled.map(w => [w.id, w]));
+            const legacyIds = new Set(legacy.map(w => w.id));
+
+            data.userWalks = legacy.filter(w => !bundledById.has(w.id));
+            data.overrides = {};
+            legacy.forEach(w => {
+                const b = bundledById.get(w.id);
+                if (b && hashWalk(w) !== hashWalk(b)) data.overrides[w.id] = w;
+            });
+            // Only an install that had a cached library can have deleted bundled walks
+            if (legacy.length) {
+                bundled.forEach(b => {
+                    if (!legacyIds.has(b.id)) data.overrides[b.id] = { id: b.id, deleted: true };
+                });
+            }
+
+            // Cached data from the current bundle: differences are the user's edits.
+            // From an older bundle we can't tell, so the merge lists them as conflicts.
+            data.dataVersion = data.legacyVersion || null;
+            data.baseHashes = data.legacyVersion === WALKS_VERSION ? hashAll(bundled) : {};
+            data.conflicts = [];
+            delete data.legacy;
+            delete data.legacyVersion;
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let bundled = [];
+let bundledById = new Map();
+let bundledHashes = {};
+let meta = { schemaVersion: SCHEMA_VERSION, dataVersion: WALKS_VERSION, baseHashes: {}, conflicts: [] };
+let savedHashes = new Map(); // record id → hash of what IndexedDB holds
+let saveQueue = Promise.resolve();
+
+/* ── IDs and hashing ─────────────────────────────────── */
+
+/**
+ * Stable walk ID: name slug plus a short hash of the name and car park position,
+ * e.g. 'orrest-head-db5b9f'. Deterministic, so the same walk always gets the same ID;
+ * a counter is mixed into the hash if it collides with one already taken.
+ */
+export function createWalkId(walk, taken = new Set()) {
+    const slug = (walk.name || 'walk')
+        .toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, 40)
+        .replace(/^-+|-+$/g, '') || 'walk';
+    const seed = `${walk.name}|${walk.lat}|${walk.lon}`;
+
+    let id;
+    let n = 0;
+    do {
+        id = `${slug}-${fnv1a(n ? `${seed}|${n}` : seed).slice(0, 6)}`;
+        n++;
+    } while (taken.has(id));
+    return id;
+}
+
+/**
+ * 8-hex-digit FNV-1a hash
+ */
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Key order doesn't count as a change
+function hashWalk(walk) {
+    return fnv1a(JSON.stringify(Object.keys(walk).sort().map(k => [k, walk[k]])));
+}
+
+function hashAll(walkList) {
+    return Object.fromEntries(walkList.map(w => [w.id, hashWalk(w)]));
+}
+
+/* ── Load / save ─────────────────────────────────────── */
+
+async function readStored() {
+    try {
+        const { meta: stored, records } = await readAll(LIBRARY_KEY);
+        if (stored) {
+            savedHashes = new Map(records.map(r => [r.id, hashRecord(r)]));
+            return {
+                ...stored,
+                userWalks: records.filter(r => r.source === 'user').map(r => r.walk),
+                overrides: Object.fromEntries(records.filter(r => r.source === 'override').map(r => [r.id, r.walk]))
+            };
+        }
+    } catch (err) {
+        console.warn('IndexedDB unavailable, reading the localStorage library:', err);
+    }
+
+    // Before IndexedDB the library was one JSON string in localStorage
+    try {
+        const stored = JSON.parse(localStorage.getItem(LIBRARY_KEY));
+        if (stored) return stored;
+    } catch { /* fall through to legacy */ }
+
+    // Before schema versioning everything lived in one array
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_WALKS_KEY));
+    } catch { /* unreadable legacy cache */ }
+    return { schemaVersion: 0, legacy: Array.isArray(legacy) ? legacy : null, legacyVersion: localStorage.getItem(LEGACY_VERSION_KEY) };
+}
+
+function migrate(data) {
+    MIGRATIONS
+        .filter(m => m.version > (data.schemaVersion || 0))
+        .forEach(m => {
+            m.migrate(data, bundled);
+            data.schemaVersion = m.version;
+            console.info(`Library migrated to schema v${m.version}: ${m.description}`);
+        });
+    return data;
+}
+
+/**
+ * Three-way merge of a new bundle: base hashes (bundle last merged) vs the new
+ * bundle vs the user's overrides. Untouched walks take the update, edited ones keep
+ * the user's version and are listed as conflicts.
+ */
+function mergeBundled(data) {
+    const conflicts = data.conflicts.filter(c => bundledById.has(c.id) || c.kind === 'removed');
+    const changed = id => data.baseHashes[id] !== bundledHashes[id];
+
+    Object.entries(data.overrides).forEach(([id, override]) => {
+        const b = bundledById.get(id);
+        if (!b) {
+            // Dropped from the bundle: an edited copy becomes the user's own walk
+            delete data.overrides[id];
+            if (!override.deleted) {
+                data.userWalks.push(override);
+                conflicts.push({ id, name: override.name, kind: 'removed' });
+            }
+        } else if (changed(id)) {
+            conflicts.push({ id, name: b.name, kind: override.deleted ? 'deleted' : 'edited' });
+        }
+    });
+
+    // A new bundled walk can't share an ID with a user walk
+    const taken = new Set([...bundledById.keys(), ...data.userWalks.map(w => w.id)]);
+    data.userWalks.forEach(w => {
+        if (bundledById.has(w.id)) w.id = createWalkId(w, taken);
+        taken.add(w.id);
+    });
+
+    // One entry per walk — the newest conflict wins
+    data.conflicts = [...new Map(conflicts.map(c => [c.id, c])).values()];
+    data.dataVersion = WALKS_VERSION;
+    data.baseHashes = { ...bundledHashes };
+    if (data.conflicts.length) console.info(`Library update: ${data.conflicts.length} walk(s) need review in Settings`);
+}
+
+/**
+ * The library as the user sees it: bundled walks with edits applied, then user walks
+ */
+function compose(data) {
+    const fromBundle = bundled
+        .map(b => data.overrides[b.id] || b)
+        .filter(w => !w.deleted);
+    return [...fromBundle, ...data.userWalks].map(w => JSON.parse(JSON.stringify(w)));
+}
+
+/**
+ * Split the visible library back into user walks and overrides of bundled walks
+ */
+function derive(walks) {
+    const overrides = {};
+    const present = new Set();
+    const userWalks = [];
+    walks.forEach(w => {
+        present.add(w.id);
+        if (!bundledById.has(w.id)) userWalks.push(w);
+        else if (hashWalk(w) !== bundledHashes[w.id]) overrides[w.id] = w;
+    });
+    bundled.forEach(b => {
+        if (!present.has(b.id)) overrides[b.id] = { id: b.id, deleted: true };
+    });
+    return { userWalks, overrides };
+}
+
+function toRecords({ userWalks, overrides }) {
+    return [
+        ...userWalks.map(walk => ({ id: walk.id, source: 'user', walk })),
+        ...Object.entries(overrides).map(([id, walk]) => ({ id, source: 'override', walk }))
+    ];
+}
+
+function hashRecord(record) {
+    return `${record.source}:${hashWalk(record.walk)}`;
+}
+
+/**
+ * Write user walks and overrides to IndexedDB — only records that changed since
+ * the last save. Saves run one at a time, in order.
+ */
+function persist(data) {
+    const records = toRecords(data).map(r => ({ ...r, hash: hashRecord(r) }));
+    const snapshot = JSON.parse(JSON.stringify(meta));
+
+    const task = saveQueue.then(async () => {
+        const ids = new Set(records.map(r => r.id));
+        const put = records.filter(r => savedHashes.get(r.id) !== r.hash);
+        const remove = [...savedHashes.keys()].filter(id => !ids.has(id));
+        await writeChanges(LIBRARY_KEY, snapshot, put, remove);
+        savedHashes = new Map(records.map(r => [r.id, r.hash]));
+    });
+    saveQueue = task.catch(() => {});
+    return task;
+}
+
+/**
+ * Load the library: run schema migrations, merge a new bundle if WALKS_VERSION
+ * changed, and resolve to { walks, error } — the visible walk list, plus any
+ * error saving it (the walks still load; the user should be told)
+ */
+export async function loadLibrary(bundledWalks) {
+    bundled = bundledWalks;
+    bundledById = new Map(bundled.map(w => [w.id, w]));
+    bundledHashes = hashAll(bundled);
+
+    const data = migrate(await readStored());
+    data.userWalks = data.userWalks || [];
+    data.overrides = data.overrides || {};
+    data.conflicts = data.conflicts || [];
+    data.baseHashes = data.baseHashes || {};
+    if (data.dataVersion !== WALKS_VERSION) mergeBundled(data);
+
+    meta = { schemaVersion: data.schemaVersion, dataVersion: data.dataVersion, baseHashes: data.baseHashes, conflicts: data.conflicts };
+    const walks = compose(data);
+
+    // localStorage copies are only dropped once IndexedDB holds the library
+    try {
+        await persist(data);
+        [LIBRARY_KEY, LEGACY_WALKS_KEY, LEGACY_VERSION_KEY].forEach(k => localStorage.removeItem(k));
+        return { walks, error: null };
+    } catch (error) {
+        return { walks, error };
+    }
+}
+
+/**
+ * Persist the visible library (only user walks and edits are stored).
+ * Rejects with a readable error, e.g. when storage is full.
+ */
+export function saveLibrary(walks) {
+    return persist(derive(walks));
+}
+
+/**
+ * Drop every user walk and edit, back to the bundled library. Resolves to the
+ * bundled walks; on failure nothing changes.
+ */
+export async function resetLibrary() {
+    const previous = meta;
+    const data = { userWalks: [], overrides: {} };
+    meta = { ...meta, conflicts: [] };
+    try {
+        await persist(data);
+    } catch (err) {
+        meta = previous;
+        throw err;
+    }
+    return compose(data);
+}
+
+/**
+ * Whether a walk is a bundled walk exactly as shipped (not the user's own or edited)
+ */
+export function isBundledOriginal(walk) {
+    return bundledHashes[walk.id] === hashWalk(walk);
+}
+
+/* ── Conflicts ───────────────────────────────────────── */
+
+/**
+ * Walks the last bundle update couldn't merge automatically:
+ * [{ id, name, kind: 'edited' | 'deleted' | 'removed' }]
+ */
+export function getConflicts() {
+    return meta.conflicts;
+}
+
+/**
+ * The bundled version of a walk, if there is one
+ */
+export function getBundledWalk(id) {
+    const b = bundledById.get(id);
+    return b ? JSON.parse(JSON.stringify(b)) : null;
+}
+
+/**
+ * Resolve a conflict: keep the user's version, or take the bundle's (for a walk
+ * dropped from the bundle that means deleting it). Resolves to the new visible walk list;
+ * if saving fails the conflict stays listed.
+ */
+export async function resolveConflict(walks, id, useBundled) {
+    const conflicts = meta.conflicts;
+    const conflict = conflicts.find(c => c.id === id);
+    meta.conflicts = conflicts.filter(c => c.id !== id);
+
+    let updated = walks;
+    if (conflict && useBundled) {
+        const data = derive(walks);
+        if (conflict.kind === 'removed') data.userWalks = data.userWalks.filter(w => w.id !== id);
+        else delete data.overrides[id];
+        updated = compose(data);
+    }
+
+    try {
+        await saveLibrary(updated);
+    } catch (err) {
+        meta.conflicts = conflicts;
+        throw err;
+    }
+    return updated;
+}
@@ -1,14 +1,37 @@
 /**
- * Proper ORS Routing — Multi-waypoint circular walks
+ * Proper Routing — Multi-waypoint circular walks
  * Each walk has 4-6 key waypoints forming a real loop
  * Run: node scripts/audit-v2.cjs
+ *
+ * Routes with ORS by default. To use a self-hosted engine, set in .env.local
+ * (or the environment):
+ *   ROUTING_PROVIDER=osrm|graphhopper|valhalla
+ *   ROUTING_URL=http://localhost:5000
+ *   ROUTING_PROFILE=foot   (OSRM/GraphHopper only; defaults foot / hike)
+ *
+ * Requests are built with the app's own adapters (js/routing-providers.js) and each
+ * walk's saved routeOptions (avoided features and areas, steepness, preference,
+ * snap radius — the app's defaults when it has none), so routes come out the
+ * same as in the app.
+ *
+ * Routes are cached in scripts/.route-cache.json for two weeks, so re-runs only
+ * request walks whose points or options changed. Pass --fresh to ignore the cache.
  */
 const fs = require('fs');
 const path = require('path');
 
-const envFile = fs.readFileSync(path.join(__dirname, '..', '.env.local'), 'utf8');
-const ORS_KEY = envFile.match(/VITE_ORS_KEY=(.+)/)?.[1]?.trim();
-if (!ORS_KEY) { console.error('No VITE_ORS_KEY'); process.exit(1); }
+const envPath = path.join(__dirname, '..', '.env.local');
+const envFile = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+const env = name => process.env[name] || envFile.match(new RegExp(`^${name}=(.+)$`, 'm'))?.[1]?.trim();
+
+const PROVIDER = env('ROUTING_PROVIDER') || 'ors';
+const ROUTING_URL = (env('ROUTING_URL') || '').replace(/\/+$/, '');
+const PROFILE = env('ROUTING_PROFILE') || ''; // empty: the adapter's default profile
+const ORS_KEY = env('VITE_ORS_KEY');
+
+if (!['ors', 'osrm', 'graphhopper', 'valhalla'].includes(PROVIDER)) { console.error(`Unknown ROUTING_PROVIDER ${PROVIDER}`); process.exit(1); }
+if (PROVIDER === 'ors' && !ORS_KEY) { console.error('No VITE_ORS_KEY'); process.exit(1); }
+if (PROVIDER !== 'ors' && !ROUTING_URL) { console.error(`ROUTING_PROVIDER=${PROVIDER} needs ROUTING_URL`); process.exit(1); }
 
 const ORS_URL = 'https://api.openrouteservice.org/v2/directions/foot-hiking/geojson';
 
@@ -387,28 +410,64 @@ const ROUTES = {
 const walksPath = path.join(__dirname, '..', 'public', 'data', 'walks.json');
 const walks = JSON.parse(fs.readFileSync(walksPath, 'utf8'));
 
-async function fetchORS(coords) {
+// Route options and engine adapters are the app's own (an ES module), so the
+// audit builds the same requests and reads the same responses
+const providers = import('../js/routing-providers.js');
+
+async function fetchORS(points, options) {
+    const { orsRouteBody, orsRouteResult } = await providers;
     const res = await fetch(ORS_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': ORS_KEY },
-        body: JSON.stringify({ coordinates: coords, preference: 'recommended' })
+        body: JSON.stringify(orsRouteBody(points, options))
     });
     if (!res.ok) {
         const errText = await res.text();
         throw new Error(`ORS ${res.status}: ${errText.substring(0, 200)}`);
     }
-    const data = await res.json();
-    const f = data.features[0];
-    return {
-        wps: f.geometry.coordinates.map(c => [c[1], c[0]]),
-        dist: f.properties.summary.distance,
-        dur: f.properties.summary.duration
-    };
+    return orsRouteResult(await res.json());
+}
+
+async function fetchSelfHosted(points, options) {
+    const { SELF_HOSTED_PROVIDERS } = await providers;
+    const provider = SELF_HOSTED_PROVIDERS.find(p => p.id === PROVIDER);
+    return provider.route(points, options, { url: ROUTING_URL, profile: PROFILE || provider.profile });
+}
+
+// points are [lat, lon] pairs; both resolve to the app's normalised route
+const fetchRoute = PROVIDER === 'ors' ? fetchORS : fetchSelfHosted;
+
+// Cache of routes by engine and rounded coordinates: key → { storedAt, route }
+const CACHE_PATH = path.join(__dirname, '.route-cache.json');
+const CACHE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const routeCache = fs.existsSync(CACHE_PATH) ? JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8')) : {};
+const FRESH = process.argv.includes('--fresh');
+
+// Resolves to { wps: [[lat, lon, ele]], dist: m, dur: s } — just what walks.json needs
+async function cachedRoute(points, options) {
+    const key = `${PROVIDER}|${ROUTING_URL}|${PROFILE}|${points.map(p => p.map(v => v.toFixed(5)).join(',')).join(';')}|${JSON.stringify(options)}`;
+    const hit = routeCache[key];
+    if (!FRESH && hit && Date.now() - hit.storedAt < CACHE_MAX_AGE) return { ...hit.route, cached: true };
+
+    const { waypoints, distance, duration } = await fetchRoute(points, options);
+    const route = { wps: waypoints, dist: distance, dur: duration };
+    routeCache[key] = { storedAt: Date.now(), route };
+    return route;
+}
+
+function saveRouteCache() {
+    const kept = Object.entries(routeCache)
+        .filter(([, e]) => Date.now() - e.storedAt < CACHE_MAX_AGE)
+        .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+        .slice(0, CACHE_MAX_ENTRIES);
+    fs.writeFileSync(CACHE_PATH, JSON.stringify(Object.fromEntries(kept)));
 }
 
 async function main() {
-    console.log(`Routing ${walks.length} walks with multi-waypoint loops...\n`);
-    let ok = 0, fail = 0;
+    const { routeOptions } = await providers;
+    console.log(`Routing ${walks.length} walks with multi-waypoint loops via ${PROVIDER}...\n`);
+    let ok = 0, fail = 0, cached = 0;
 
     for (let i = 0; i < walks.length; i++) {
         const w = walks[i];
@@ -432,23 +491,24 @@ async function main() {
         console.log(`[${i + 1}/${walks.length}] ${w.name} (${type}, ${route.loop.length} waypoints)...`);
 
         try {
-            // Build coordinate array: carPark → loop points → (carPark for circular)
-            const coords = [
-                [route.carPark[1], route.carPark[0]], // [lon, lat] for ORS
-                ...route.loop.map(p => [p[1], p[0]]),
-            ];
+            // Build [lat, lon] points: carPark → loop points → (carPark for circular)
+            const points = [route.carPark, ...route.loop];
             if (!route.isLinear) {
-                coords.push([route.carPark[1], route.carPark[0]]); // Return to start
+                points.push(route.carPark); // Return to start
             }
 
-            const r = await fetchORS(coords);
+            const r = await cachedRoute(points, routeOptions(w.routeOptions));
             walks[i].waypoints = r.wps;
             const km = (r.dist / 1000).toFixed(1);
-            console.log(`  ✅ ${r.wps.length} pts, ${km}km`);
+            console.log(`  ✅ ${r.wps.length} pts, ${km}km${r.cached ? ' (cached)' : ''}`);
             ok++;
+            if (r.cached) {
+                cached++;
+                continue;
+            }
 
-            // ORS rate limit: 40 req/min → 1.5s between requests
-            if (i < walks.length - 1) await new Promise(resolve => setTimeout(resolve, 1600));
+            // ORS rate limit: 40 req/min → 1.5s between requests (self-hosted engines have none)
+            if (PROVIDER === 'ors' && i < walks.length - 1) await new Promise(resolve => setTimeout(resolve, 1600));
         } catch (e) {
             console.log(`  ❌ ${e.message.substring(0, 120)}`);
             fail++;
@@ -457,7 +517,8 @@ async function main() {
     }
 
     fs.writeFileSync(walksPath, JSON.stringify(walks, null, 2));
-    console.log(`\nDone: ${ok} routed, ${fail} failed. Saved to walks.json`);
+    saveRouteCache();
+    console.log(`\nDone: ${ok} routed (${cached} from cache), ${fail} failed. Saved to walks.json`);
 }
 
 main().catch(e => { console.error('Fatal:', e); process.exit(1); });